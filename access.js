@@ -0,0 +1,121 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  SCOPES,
+  TEMPLATES,
+  POSITION_TEMPLATES,
+  isValidGrant,
+  getEffectivePermissions
+} = require('../utils/permissions');
+
+const router = express.Router();
+
+// Validation schemas
+const updateAccessSchema = Joi.object({
+  permissionTemplates: Joi.array().items(Joi.string().valid(...POSITION_TEMPLATES)).unique().optional(),
+  permissions: Joi.array().items(
+    Joi.string().custom((value, helpers) => (isValidGrant(value) ? value : helpers.error('any.invalid')))
+  ).unique().optional(),
+  department: Joi.string().allow(null).optional()
+}).min(1);
+
+const formatAccess = (user) => ({
+  userId: user._id,
+  role: user.role,
+  department: user.department,
+  permissionTemplates: user.permissionTemplates,
+  permissions: user.permissions,
+  effective: Object.fromEntries(getEffectivePermissions(user))
+});
+
+// Catalog of permissions, scopes and templates
+router.get('/', authenticateToken, (req, res) => {
+  res.json({
+    permissions: PERMISSIONS,
+    scopes: SCOPES,
+    templates: TEMPLATES
+  });
+});
+
+// The current user's effective permissions
+router.get('/me', authenticateToken, (req, res) => {
+  res.json(formatAccess(req.user));
+});
+
+// A user's access
+router.get('/users/:userId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json(formatAccess(user));
+
+  } catch (error) {
+    console.error('Get user access error:', error);
+    res.status(500).json({
+      message: 'Failed to get user access',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Assign templates, extra permissions or department to a user
+router.put('/users/:userId', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateAccessSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    Object.assign(user, value);
+    await user.save();
+
+    res.json({
+      message: 'Access updated successfully',
+      ...formatAccess(user)
+    });
+
+  } catch (error) {
+    console.error('Update user access error:', error);
+    res.status(500).json({
+      message: 'Failed to update user access',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Resend throttling: a new code at most this often, and this many an hour
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.ACCOUNT_CODE_RESEND_SECONDS, 10) || 60;
+const MAX_CODES_PER_HOUR = parseInt(process.env.ACCOUNT_CODE_MAX_PER_HOUR, 10) || 5;
+const MAX_ATTEMPTS = 5;
+
+// Default lifetimes per purpose
+const LIFETIMES_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  reset_password: 15 * 60 * 1000
+};
+
+// Single-use codes for email verification and password reset.
+// Only an HMAC of the code is stored.
+const accountCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(LIFETIMES_MS),
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+accountCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+// Remove codes a day after they expire
+accountCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Hash a code for storage; user and purpose salt it
+accountCodeSchema.statics.hashCode = function(userId, purpose, code) {
+  const secret = process.env.ACCOUNT_CODE_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${userId}:${purpose}:${code}`).digest('hex');
+};
+
+// Issue a new code, replacing any active one for the same purpose
+// Resolves to { issued: true, code, expiresAt } or { issued: false, code, reason, retryAfter }
+accountCodeSchema.statics.issue = async function(user, purpose, { lifetimeMs = LIFETIMES_MS[purpose] } = {}) {
+  const now = new Date();
+  const recent = await this.find({
+    user: user._id,
+    purpose,
+    createdAt: { $gt: new Date(now.getTime() - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 }).select('createdAt');
+
+  const sinceLast = recent.length > 0 ? (now - recent[0].createdAt) / 1000 : Infinity;
+  if (sinceLast < RESEND_INTERVAL_SECONDS) {
+    return {
+      issued: false,
+      code: 'RESEND_TOO_SOON',
+      reason: 'A code was sent recently. Please wait before asking again.',
+      retryAfter: Math.ceil(RESEND_INTERVAL_SECONDS - sinceLast)
+    };
+  }
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    return {
+      issued: false,
+      code: 'TOO_MANY_CODES',
+      reason: 'Too many codes requested. Please try again later.',
+      retryAfter: Math.ceil((recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000)
+    };
+  }
+
+  await this.updateMany(
+    { user: user._id, purpose, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const expiresAt = new Date(now.getTime() + lifetimeMs);
+  await this.create({
+    user: user._id,
+    purpose,
+    codeHash: this.hashCode(user._id, purpose, code),
+    expiresAt
+  });
+
+  return { issued: true, code, expiresAt };
+};
+
+// Check and use up a code
+// Resolves to { valid: true } or { valid: false, code, reason, attemptsRemaining? }
+accountCodeSchema.statics.consume = async function(user, purpose, code) {
+  const now = new Date();
+  const active = await this.findOne({
+    user: user._id,
+    purpose,
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: now }
+  }).sort({ createdAt: -1 });
+
+  if (!active) {
+    return { valid: false, code: 'CODE_NOT_ISSUED', reason: 'No active code. Please request a new one.' };
+  }
+
+  if (active.attempts >= MAX_ATTEMPTS) {
+    return { valid: false, code: 'CODE_ATTEMPTS_EXCEEDED', reason: 'Too many incorrect attempts. Please request a new code.' };
+  }
+
+  const expected = Buffer.from(active.codeHash, 'hex');
+  const provided = Buffer.from(this.hashCode(user._id, purpose, code), 'hex');
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    await this.updateOne({ _id: active._id }, { $inc: { attempts: 1 } });
+    return {
+      valid: false,
+      code: 'CODE_INVALID',
+      reason: 'Incorrect code',
+      attemptsRemaining: MAX_ATTEMPTS - active.attempts - 1
+    };
+  }
+
+  const claimed = await this.updateOne({ _id: active._id, usedAt: null }, { $set: { usedAt: now } });
+  if (claimed.modifiedCount === 0) {
+    return { valid: false, code: 'CODE_ALREADY_USED', reason: 'Code has already been used' };
+  }
+
+  return { valid: true };
+};
+
+module.exports = mongoose.model('AccountCode', accountCodeSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { sendTemplate } = require('./mailer');
+const { emitWebhookEvent } = require('./webhooks');
+
+// Lockout policy from the environment:
+//   LOGIN_MAX_ATTEMPTS      failed logins before a lock (default 5)
+//   LOGIN_LOCK_DURATIONS    comma-separated minutes for the 1st, 2nd, ... lock;
+//                           the last value repeats (default 120,480,1440)
+//   LOGIN_LOCK_RESET_HOURS  a lock this long after the previous one starts
+//                           again from the first duration (default 24)
+const getLockoutPolicy = () => {
+  const durations = (process.env.LOGIN_LOCK_DURATIONS || '120,480,1440')
+    .split(',')
+    .map(minutes => parseInt(minutes, 10))
+    .filter(minutes => minutes > 0);
+
+  return {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    durationsMinutes: durations.length > 0 ? durations : [120],
+    resetHours: parseInt(process.env.LOGIN_LOCK_RESET_HOURS, 10) || 24
+  };
+};
+
+// How long the next lock lasts, given how many locks came before it
+const nextLockDurationMs = (previousLocks) => {
+  const { durationsMinutes } = getLockoutPolicy();
+  const index = Math.min(previousLocks, durationsMinutes.length - 1);
+  return durationsMinutes[index] * 60 * 1000;
+};
+
+// Record a lock and tell the user about it. The lock is already saved and
+// stands even if any of these fail.
+const notifyAccountLocked = async (user, { lockUntil, lockCount, ipAddress } = {}) => {
+  try {
+    await mongoose.model('AuditLog').record({
+      entityType: 'account',
+      entity: user._id,
+      action: 'account.locked',
+      newStatus: 'locked',
+      changes: { lockUntil, lockCount }
+    }, { ipAddress });
+  } catch (error) {
+    console.error('Account lock audit error:', error);
+  }
+
+  try {
+    await emitWebhookEvent('user.locked', {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      lockUntil,
+      lockCount
+    });
+  } catch (error) {
+    console.error('Account lock webhook error:', error);
+  }
+
+  try {
+    await sendTemplate('account-locked', user.email, { user, lockUntil });
+  } catch (error) {
+    console.error('Account lock email error:', error);
+  }
+};
+
+// Record an early unlock and tell the user
+const notifyAccountUnlocked = async (user, { admin, reason, ipAddress } = {}) => {
+  await mongoose.model('AuditLog').record({
+    entityType: 'account',
+    entity: user._id,
+    action: 'account.unlocked',
+    previousStatus: 'locked',
+    newStatus: 'active'
+  }, { actor: admin, reason, ipAddress });
+
+  try {
+    await sendTemplate('account-unlocked', user.email, { user });
+  } catch (error) {
+    console.error('Account unlock email error:', error);
+  }
+};
+
+module.exports = {
+  getLockoutPolicy,
+  nextLockDurationMs,
+  notifyAccountLocked,
+  notifyAccountUnlocked
+};
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const { setTransport } = require('./mailer');
+const { getLockoutPolicy, nextLockDurationMs } = require('./accountLockout');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_LOCK_DURATIONS = '10,30,60';
+process.env.LOGIN_LOCK_RESET_HOURS = '24';
+
+// Stand-ins for the audit log, webhook queue and mail transport
+const AuditLog = mongoose.model('AuditLog', new mongoose.Schema({}));
+let audited = [];
+AuditLog.record = async (entry) => { audited.push(entry); };
+WebhookEndpoint.find = () => ({ select: async () => [] });
+
+let sent = [];
+setTransport({ sendMail: async (message) => { sent.push(message); } });
+
+// Updates the lockout methods make, instead of writing to the database
+let updates = [];
+User.updateOne = async (filter, update) => {
+  updates.push(update);
+  return { modifiedCount: 1 };
+};
+User.prototype.updateOne = async function(update) {
+  updates.push(update);
+  return { modifiedCount: 1 };
+};
+
+const makeUser = (fields = {}) => new User({
+  email: 'student@example.edu',
+  firstName: 'Asha',
+  lastName: 'Rao',
+  role: 'student',
+  loginAttempts: 2,
+  ...fields
+});
+
+test.beforeEach(() => {
+  audited = [];
+  sent = [];
+  updates = [];
+});
+
+test('the policy comes from the environment', () => {
+  assert.deepStrictEqual(getLockoutPolicy(), { maxAttempts: 3, durationsMinutes: [10, 30, 60], resetHours: 24 });
+});
+
+test('each lock lasts longer than the one before, and the last duration repeats', () => {
+  assert.deepStrictEqual(
+    [0, 1, 2, 3, 7].map(previousLocks => nextLockDurationMs(previousLocks) / MINUTE),
+    [10, 30, 60, 60, 60]
+  );
+});
+
+test('failures below the limit only count', async () => {
+  await makeUser({ loginAttempts: 0 }).incLoginAttempts();
+  assert.deepStrictEqual(updates, [{ $inc: { loginAttempts: 1 } }]);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('a lock soon after the previous one escalates', async () => {
+  const before = Date.now();
+  await makeUser({ lockCount: 1, lockedAt: new Date(Date.now() - 2 * HOUR) }).incLoginAttempts();
+
+  const { $set } = updates[0];
+  assert.strictEqual($set.lockCount, 2);
+  const duration = $set.lockUntil.getTime() - $set.lockedAt.getTime();
+  assert.strictEqual(duration, 30 * MINUTE);
+  assert.ok($set.lockedAt.getTime() >= before);
+});
+
+test('a lock after the reset window starts again from the first duration', async () => {
+  await makeUser({ lockCount: 2, lockedAt: new Date(Date.now() - 25 * HOUR) }).incLoginAttempts();
+
+  const { $set } = updates[0];
+  assert.strictEqual($set.lockCount, 1);
+  assert.strictEqual($set.lockUntil.getTime() - $set.lockedAt.getTime(), 10 * MINUTE);
+});
+
+test('a lock is audited and emailed', async () => {
+  await makeUser().incLoginAttempts({ ipAddress: '10.0.0.1' });
+
+  assert.strictEqual(audited.length, 1);
+  assert.strictEqual(audited[0].action, 'account.locked');
+  assert.strictEqual(audited[0].changes.lockCount, 1);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, 'student@example.edu');
+});
+
+test('the lock stands when the audit log, webhooks and email all fail', async () => {
+  const record = AuditLog.record;
+  const find = WebhookEndpoint.find;
+  const consoleError = console.error;
+  AuditLog.record = async () => { throw new Error('audit down'); };
+  WebhookEndpoint.find = () => { throw new Error('queue down'); };
+  setTransport({ sendMail: async () => { throw new Error('smtp down'); } });
+  console.error = () => {};
+
+  try {
+    const result = await makeUser().incLoginAttempts();
+    assert.strictEqual(result.modifiedCount, 1);
+    assert.strictEqual(updates[0].$set.lockCount, 1);
+  } finally {
+    AuditLog.record = record;
+    WebhookEndpoint.find = find;
+    setTransport({ sendMail: async (message) => { sent.push(message); } });
+    console.error = consoleError;
+  }
+});
+
+test('a successful login clears the attempts and the lock history', async () => {
+  await makeUser({ lockCount: 2 }).resetLoginAttempts();
+  assert.deepStrictEqual(updates, [{ $unset: { loginAttempts: 1, lockUntil: 1 }, $set: { lockCount: 0 } }]);
+});
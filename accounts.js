@@ -0,0 +1,144 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { notifyAccountUnlocked } = require('../utils/accountLockout');
+
+const router = express.Router();
+
+// Validation schemas
+const unlockSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+});
+
+const findUser = async (res, userId) => {
+  const user = mongoose.Types.ObjectId.isValid(userId) && await User.findById(userId).select('-password');
+  if (!user) {
+    res.status(404).json({
+      message: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+  return user;
+};
+
+// List currently locked accounts
+router.get('/locked', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { lockUntil: { $gt: new Date() } };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('firstName lastName email role loginAttempts lockUntil lockedAt lockCount')
+        .sort({ lockedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      accounts: users.map(user => ({
+        id: user._id,
+        name: user.fullName,
+        email: user.email,
+        role: user.role,
+        loginAttempts: user.loginAttempts,
+        lockedAt: user.lockedAt,
+        lockUntil: user.lockUntil,
+        lockCount: user.lockCount
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      message: 'Failed to get locked accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Unlock an account early
+router.post('/:userId/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = unlockSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await findUser(res, req.params.userId);
+    if (!user) return;
+
+    if (!user.isLocked) {
+      return res.status(400).json({
+        message: 'Account is not locked',
+        code: 'ACCOUNT_NOT_LOCKED'
+      });
+    }
+
+    await user.unlock();
+    await notifyAccountUnlocked(user, {
+      admin: req.user,
+      reason: value.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Account unlocked successfully' });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      message: 'Failed to unlock account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Lock and unlock history of an account
+router.get('/:userId/lock-events', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await findUser(res, req.params.userId);
+    if (!user) return;
+
+    const { page = 1, limit = 50 } = req.query;
+    const history = await AuditLog.getHistory(
+      { entityType: 'account', entity: user._id },
+      { page, limit: Math.min(limit, 200) }
+    );
+
+    res.json({
+      events: history.entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actor: entry.actor,
+        actorRole: entry.actorRole,
+        reason: entry.reason,
+        ipAddress: entry.ipAddress,
+        details: entry.changes,
+        createdAt: entry.createdAt
+      })),
+      pagination: history.pagination
+    });
+
+  } catch (error) {
+    console.error('Get lock events error:', error);
+    res.status(500).json({
+      message: 'Failed to get lock events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const AccountCode = require('../models/AccountCode');
+const { sendTemplate } = require('./mailer');
+
+// What unverified accounts may do (UNVERIFIED_ACCOUNT_POLICY):
+//   'allow'          everything
+//   'block-marking'  everything except marking attendance (default)
+//   'block-all'      nothing that needs a token
+const UNVERIFIED_POLICIES = ['allow', 'block-marking', 'block-all'];
+
+const getUnverifiedPolicy = () => {
+  const policy = process.env.UNVERIFIED_ACCOUNT_POLICY || 'block-marking';
+  return UNVERIFIED_POLICIES.includes(policy) ? policy : 'block-marking';
+};
+
+// Issue a code for a purpose and email it with the matching template
+// Resolves to AccountCode.issue's result
+const sendAccountCode = async (user, purpose, { template, lifetimeMs } = {}) => {
+  const issued = await AccountCode.issue(user, purpose, { lifetimeMs });
+  if (!issued.issued) {
+    return issued;
+  }
+
+  const defaultTemplate = purpose === 'verify_email' ? 'verify-email' : 'password-reset';
+  await sendTemplate(template || defaultTemplate, user.email, {
+    user,
+    code: issued.code,
+    expiresAt: issued.expiresAt
+  });
+
+  return issued;
+};
+
+module.exports = {
+  UNVERIFIED_POLICIES,
+  getUnverifiedPolicy,
+  sendAccountCode
+};
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One-time codes for marking attendance. A code is either shown by the
+// teacher to the whole class (student: null) or issued to one student.
+const attendanceOtpSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for a session-wide code
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // Failed attempts per student id
+  attempts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+attendanceOtpSchema.index({ session: 1, student: 1, expiresAt: -1 });
+
+// Remove codes a day after they expire
+attendanceOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Hash a code for storage; the session id salts it
+attendanceOtpSchema.statics.hashCode = function(sessionId, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${sessionId}:${code}`).digest('hex');
+};
+
+// Generate a numeric code of the given length
+attendanceOtpSchema.statics.generateCode = function(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(0, 10);
+  }
+  return code;
+};
+
+// Issue a new code, replacing any active one for the same session and student
+// Resolves to { otp, code } — the plain code is never stored
+attendanceOtpSchema.statics.issue = async function(session, { student = null, channel, issuedBy }) {
+  const now = new Date();
+  const { otpLength, otpLifetimeSeconds, otpMaxAttempts } = session.settings;
+
+  await this.updateMany(
+    { session: session._id, student, revokedAt: null, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  );
+
+  // A code never outlives the attendance window
+  const expiresAt = new Date(Math.min(
+    now.getTime() + otpLifetimeSeconds * 1000,
+    session.attendanceWindow.end.getTime()
+  ));
+
+  const code = this.generateCode(otpLength);
+  const otp = await this.create({
+    session: session._id,
+    student,
+    codeHash: this.hashCode(session._id, code),
+    channel,
+    issuedBy,
+    expiresAt,
+    maxAttempts: otpMaxAttempts
+  });
+
+  return { otp, code };
+};
+
+// Check a code a student entered
+// Resolves to { valid: true, otp } or { valid: false, code, reason, attemptsRemaining? }
+attendanceOtpSchema.statics.verifyCode = async function(session, studentId, code) {
+  const now = new Date();
+  const candidates = await this.find({
+    session: session._id,
+    student: { $in: [studentId, null] },
+    revokedAt: null,
+    usedAt: null,
+    expiresAt: { $gt: now }
+  }).sort({ createdAt: -1 });
+
+  // A code issued to the student takes precedence over a session-wide one
+  const otp = candidates.find(candidate => candidate.student) || candidates[0];
+  if (!otp) {
+    return { valid: false, code: 'OTP_NOT_ISSUED', reason: 'No active OTP for this session' };
+  }
+
+  const attemptKey = `attempts.${studentId}`;
+  const attempts = otp.attempts.get(studentId.toString()) || 0;
+  if (attempts >= otp.maxAttempts) {
+    return { valid: false, code: 'OTP_ATTEMPTS_EXCEEDED', reason: 'Too many incorrect OTP attempts' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const provided = Buffer.from(this.hashCode(session._id, code), 'hex');
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    await this.updateOne({ _id: otp._id }, { $inc: { [attemptKey]: 1 } });
+    return {
+      valid: false,
+      code: 'OTP_INVALID',
+      reason: 'Incorrect OTP',
+      attemptsRemaining: otp.maxAttempts - attempts - 1
+    };
+  }
+
+  // Codes issued to one student are single use
+  if (otp.student) {
+    const claimed = await this.updateOne({ _id: otp._id, usedAt: null }, { $set: { usedAt: now } });
+    if (claimed.modifiedCount === 0) {
+      return { valid: false, code: 'OTP_ALREADY_USED', reason: 'OTP has already been used' };
+    }
+  }
+
+  return { valid: true, otp };
+};
+
+module.exports = mongoose.model('AttendanceOtp', attendanceOtpSchema);
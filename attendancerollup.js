@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Pre-aggregated attendance counts, kept up to date as records are created
+// and edited (see utils/attendanceRollups). One document per
+//   student_classroom   student + classroom, all time
+//   classroom_day       classroom + day
+//   department_week     department + week (starting Monday)
+// Dimensions a kind doesn't use are null. A single `rebuild` document, with
+// the time of the last full rebuild as its period, marks that the rollups
+// cover every record.
+const attendanceRollupSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['student_classroom', 'classroom_day', 'department_week', 'rebuild'],
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    default: null
+  },
+  department: {
+    type: String,
+    default: null
+  },
+  // Start of the day or week, in the rollup time zone
+  period: {
+    type: Date,
+    default: null
+  },
+  counts: {
+    present: { type: Number, default: 0 },
+    absent: { type: Number, default: 0 },
+    late: { type: Number, default: 0 },
+    excused: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+attendanceRollupSchema.index({ kind: 1, student: 1, classroom: 1, department: 1, period: 1 }, { unique: true });
+attendanceRollupSchema.index({ kind: 1, classroom: 1, period: 1 });
+attendanceRollupSchema.index({ kind: 1, department: 1, period: 1 });
+
+module.exports = mongoose.model('AttendanceRollup', attendanceRollupSchema);
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const AttendanceRollup = require('../models/AttendanceRollup');
+const { getCollegeOffset } = require('./collegeTime');
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const BATCH_SIZE = 1000;
+
+// Days and weeks are cut at midnight in the college's UTC offset, so they
+// line up with the college's calendar
+const getRollupOffset = getCollegeOffset;
+
+const offsetMinutes = (offset) => {
+  const [hours, minutes] = offset.slice(1).split(':').map(Number);
+  return (offset[0] === '-' ? -1 : 1) * (hours * 60 + minutes);
+};
+
+// Start of the day containing `date`
+const startOfDay = (date, offset = getRollupOffset()) => {
+  const shift = offsetMinutes(offset) * 60 * 1000;
+  const local = new Date(new Date(date).getTime() + shift);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - shift);
+};
+
+// Start of the week (Monday) containing `date`
+const startOfWeek = (date, offset = getRollupOffset()) => {
+  const day = startOfDay(date, offset);
+  const shift = offsetMinutes(offset) * 60 * 1000;
+  const weekday = new Date(day.getTime() + shift).getUTCDay();
+  return new Date(day.getTime() - ((weekday + 6) % 7) * 24 * 60 * 60 * 1000);
+};
+
+// Rollup keys a record counts towards
+const rollupKeys = ({ student, classroom, markedAt }, department) => {
+  const keys = [
+    { kind: 'student_classroom', student, classroom, department: null, period: null },
+    { kind: 'classroom_day', student: null, classroom, department: null, period: startOfDay(markedAt) }
+  ];
+  if (department) {
+    keys.push({ kind: 'department_week', student: null, classroom: null, department, period: startOfWeek(markedAt) });
+  }
+  return keys;
+};
+
+const keyString = (key) => [key.kind, key.student, key.classroom, key.department, key.period && key.period.getTime()].join('|');
+
+// Apply status changes to the rollups. Each change is
+// { student, classroom, markedAt, from, to }: `from` is null for a new
+// record and `to` is null for a removed one. Changes hitting the same
+// rollup are merged into one increment.
+const applyRollupChanges = async (changes) => {
+  const relevant = changes.filter(change => change.from !== change.to);
+  if (relevant.length === 0) return;
+
+  const Classroom = mongoose.model('Classroom');
+  const classroomIds = [...new Set(relevant.map(change => change.classroom.toString()))];
+  const classrooms = await Classroom.find({ _id: { $in: classroomIds } }).select('department');
+  const departments = new Map(classrooms.map(classroom => [classroom._id.toString(), classroom.department]));
+
+  const increments = new Map();
+  for (const change of relevant) {
+    const keys = rollupKeys(change, departments.get(change.classroom.toString()));
+    for (const key of keys) {
+      const id = keyString(key);
+      const entry = increments.get(id) || { key, inc: {} };
+      if (change.from) {
+        entry.inc[`counts.${change.from}`] = (entry.inc[`counts.${change.from}`] || 0) - 1;
+      }
+      if (change.to) {
+        entry.inc[`counts.${change.to}`] = (entry.inc[`counts.${change.to}`] || 0) + 1;
+      }
+      increments.set(id, entry);
+    }
+  }
+
+  const operations = [...increments.values()].map(({ key, inc }) => ({
+    updateOne: {
+      filter: key,
+      update: { $inc: inc },
+      upsert: true
+    }
+  }));
+
+  try {
+    await AttendanceRollup.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Two first increments of the same rollup can race to insert it; the
+    // loser hits the unique index and only needs its own increment redone
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    await AttendanceRollup.bulkWrite(writeErrors.map(writeError => operations[writeError.index]), { ordered: false });
+  }
+};
+
+// Whether a full rebuild has run. Until then the rollups only hold marks
+// taken since they were introduced, so summaries must use the raw records.
+let rebuilt = false;
+const rollupsReady = async () => {
+  if (!rebuilt) {
+    rebuilt = !!(await AttendanceRollup.exists({ kind: 'rebuild' }));
+  }
+  return rebuilt;
+};
+
+// Count expressions shared by the rebuild pipelines
+const statusCounts = Object.fromEntries(STATUSES.map(status => [
+  status,
+  { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+]));
+
+// Write one pipeline's groups into the rollups, `toKey` mapping a group id
+// to the rollup key
+const writeGroups = async (pipeline, toKey) => {
+  const Attendance = mongoose.model('Attendance');
+  const cursor = Attendance.aggregate(pipeline).allowDiskUse(true).cursor({ batchSize: BATCH_SIZE });
+
+  let written = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await AttendanceRollup.bulkWrite(batch, { ordered: false });
+    written += batch.length;
+    batch = [];
+  };
+
+  for await (const group of cursor) {
+    batch.push({
+      updateOne: {
+        filter: toKey(group._id),
+        update: {
+          $set: {
+            counts: Object.fromEntries(STATUSES.map(status => [status, group[status]]))
+          }
+        },
+        upsert: true
+      }
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return written;
+};
+
+// Recompute every rollup from the raw attendance records. Rollups are
+// overwritten in place, then any not touched by the rebuild (keys that no
+// longer have records) are removed. Marks taken while it runs may be
+// counted twice or not at all; run it again once things are quiet.
+// Resolves to the number of rollups written per kind.
+const rebuildRollups = async () => {
+  const startedAt = new Date();
+  const timezone = getRollupOffset();
+
+  const studentClassroom = await writeGroups([
+    { $group: { _id: { student: '$student', classroom: '$classroom' }, ...statusCounts } }
+  ], ({ student, classroom }) => ({ kind: 'student_classroom', student, classroom, department: null, period: null }));
+
+  const classroomDay = await writeGroups([
+    {
+      $group: {
+        _id: {
+          classroom: '$classroom',
+          period: { $dateTrunc: { date: '$markedAt', unit: 'day', timezone } }
+        },
+        ...statusCounts
+      }
+    }
+  ], ({ classroom, period }) => ({ kind: 'classroom_day', student: null, classroom, department: null, period }));
+
+  const departmentWeek = await writeGroups([
+    { $lookup: { from: 'classrooms', localField: 'classroom', foreignField: '_id', as: 'classroomDoc' } },
+    { $set: { department: { $first: '$classroomDoc.department' } } },
+    { $match: { department: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: {
+          department: '$department',
+          period: { $dateTrunc: { date: '$markedAt', unit: 'week', startOfWeek: 'monday', timezone } }
+        },
+        ...statusCounts
+      }
+    }
+  ], ({ department, period }) => ({ kind: 'department_week', student: null, classroom: null, department, period }));
+
+  const removed = await AttendanceRollup.deleteMany({ updatedAt: { $lt: startedAt } });
+  await AttendanceRollup.updateOne({ kind: 'rebuild' }, { $set: { period: startedAt } }, { upsert: true });
+
+  return {
+    studentClassroom,
+    classroomDay,
+    departmentWeek,
+    removed: removed.deletedCount
+  };
+};
+
+module.exports = {
+  getRollupOffset,
+  startOfDay,
+  startOfWeek,
+  applyRollupChanges,
+  rollupsReady,
+  rebuildRollups
+};
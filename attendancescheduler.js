@@ -0,0 +1,294 @@
+const cron = require('node-cron');
+const AttendanceSession = require('../models/AttendanceSession');
+const Classroom = require('../models/Classroom');
+const { detectProxies } = require('../utils/proxyDetector');
+const { updateClassroomStandings, notifyStandingChanges } = require('../utils/eligibility');
+
+// Every 15 seconds by default so short attendance windows close on time
+const DEFAULT_CRON = '*/15 * * * * *';
+
+// Every transition below is a conditional update on the current state, so
+// when several instances (or a restarted one) run the same tick only one
+// of them wins each session and the rest see no match. Nothing is kept in
+// memory between ticks: a restart just picks up whatever is due.
+
+// Start scheduled sessions whose start time has arrived
+const startDueSessions = async (io, now = new Date()) => {
+  const due = await AttendanceSession.find({
+    status: 'scheduled',
+    startTime: { $lte: now },
+    endTime: { $gt: now }
+  }).select('_id');
+
+  let started = 0;
+  for (const { _id } of due) {
+    try {
+      const session = await AttendanceSession.findOneAndUpdate(
+        { _id, status: 'scheduled' },
+        { $set: { status: 'active', windowClosedAt: null } },
+        { new: true }
+      );
+      if (!session) continue;
+
+      // Window follows the scheduled start, not the tick that picked it up
+      session.attendanceWindow.start = session.startTime;
+      session.attendanceWindow.end = new Date(
+        session.startTime.getTime() + (session.settings.attendanceWindowMinutes * 60 * 1000)
+      );
+      await session.save();
+      await session.logLifecycle('session.started', 'scheduled');
+      started++;
+
+      io.to(`classroom-${session.classroom}`).emit('attendance-request', {
+        sessionId: session._id,
+        title: session.title,
+        windowStart: session.attendanceWindow.start,
+        windowEnd: session.attendanceWindow.end,
+        location: session.location,
+        settings: session.settings
+      });
+    } catch (error) {
+      console.error(`Start session error (${_id}):`, error);
+    }
+  }
+
+  return started;
+};
+
+// End scheduled sessions whose whole slot passed without them being
+// started, e.g. while the server was down. They go straight to completed
+// and are finalized like any other ended session. Sessions from before the
+// scheduler existed (no finalizedAt field) are left as they are.
+const endMissedSessions = async (io, now = new Date()) => {
+  const due = await AttendanceSession.find({
+    status: 'scheduled',
+    endTime: { $lte: now },
+    finalizedAt: { $type: 'null' }
+  }).select('_id');
+
+  let ended = 0;
+  for (const { _id } of due) {
+    try {
+      const session = await AttendanceSession.findOneAndUpdate(
+        { _id, status: 'scheduled' },
+        { $set: { status: 'completed', windowClosedAt: now } },
+        { new: true }
+      );
+      if (!session) continue;
+      ended++;
+      await session.logLifecycle('session.ended', 'scheduled');
+
+      io.to(`classroom-${session.classroom}`).emit('session-ended', {
+        sessionId: session._id,
+        endTime: session.endTime
+      });
+    } catch (error) {
+      console.error(`End missed session error (${_id}):`, error);
+    }
+  }
+
+  return ended;
+};
+
+// Close attendance windows that have run out
+const closeExpiredWindows = async (io, now = new Date()) => {
+  const due = await AttendanceSession.find({
+    status: 'active',
+    windowClosedAt: null,
+    'attendanceWindow.end': { $lte: now }
+  }).select('_id');
+
+  let closed = 0;
+  for (const { _id } of due) {
+    try {
+      const session = await AttendanceSession.findOneAndUpdate(
+        { _id, status: 'active', windowClosedAt: null },
+        { $set: { windowClosedAt: now } },
+        { new: true }
+      );
+      if (!session) continue;
+      closed++;
+
+      io.to(`classroom-${session.classroom}`).emit('attendance-window-closed', {
+        sessionId: session._id,
+        windowEnd: session.attendanceWindow.end,
+        closedAt: session.windowClosedAt
+      });
+    } catch (error) {
+      console.error(`Close attendance window error (${_id}):`, error);
+    }
+  }
+
+  return closed;
+};
+
+// End active sessions past their end time
+const endExpiredSessions = async (io, now = new Date()) => {
+  const due = await AttendanceSession.find({
+    status: 'active',
+    endTime: { $lte: now }
+  }).select('_id');
+
+  let ended = 0;
+  for (const { _id } of due) {
+    try {
+      const session = await AttendanceSession.findOneAndUpdate(
+        { _id, status: 'active' },
+        { $set: { status: 'completed' } },
+        { new: true }
+      );
+      if (!session) continue;
+      ended++;
+      await session.logLifecycle('session.ended', 'active');
+
+      if (!session.windowClosedAt) {
+        session.windowClosedAt = now;
+        await session.save();
+      }
+
+      io.to(`classroom-${session.classroom}`).emit('session-ended', {
+        sessionId: session._id,
+        endTime: session.endTime
+      });
+    } catch (error) {
+      console.error(`End session error (${_id}):`, error);
+    }
+  }
+
+  return ended;
+};
+
+// Recompute eligibility standings after a session and send any alerts.
+// Failures are logged rather than thrown: the session is already finalized.
+const refreshStandings = async (io, session) => {
+  try {
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom) return;
+
+    const crossings = await updateClassroomStandings(classroom, { sessionId: session._id });
+    await notifyStandingChanges(io, classroom, crossings, { teacherIds: [session.teacher] });
+  } catch (error) {
+    console.error('Eligibility standings error:', error);
+  }
+};
+
+// Auto-mark absentees, run proxy detection and refresh statistics for
+// completed sessions, whether they were ended by this scheduler or by a
+// teacher. A session is claimed by setting finalizedAt before any work, so
+// only one instance finalizes it; the claim is released if the work fails,
+// so the next tick retries it.
+//
+// Only sessions with an explicit finalizedAt: null are picked up. Sessions
+// created before finalizing existed have no such field and are left alone,
+// rather than getting absences marked against today's roster
+// (see backfillFinalized.js).
+const finalizeSession = async (io, session) => {
+  if (session.settings.autoMarkAbsent) {
+    await session.markAbsentStudents();
+  }
+  const flagged = await detectProxies(session);
+  await session.updateStatistics();
+
+  io.to(`classroom-${session.classroom}`).emit('session-finalized', {
+    sessionId: session._id,
+    statistics: session.statistics
+  });
+
+  if (flagged.length > 0) {
+    // The session teacher, the classroom owner and staff who review
+    const classroom = await Classroom.findById(session.classroom).select('teacher staff');
+    const reviewers = new Set([session.teacher.toString()]);
+    if (classroom) {
+      reviewers.add(classroom.teacher.toString());
+      classroom.staff
+        .filter(member => member.capabilities.includes('attendance:review'))
+        .forEach(member => reviewers.add(member.user.toString()));
+    }
+
+    reviewers.forEach(userId => {
+      io.to(`user-${userId}`).emit('proxy-flags', {
+        sessionId: session._id,
+        title: session.title,
+        flaggedCount: flagged.length
+      });
+    });
+  }
+
+  await refreshStandings(io, session);
+};
+
+const finalizeCompletedSessions = async (io) => {
+  const due = await AttendanceSession.find({
+    status: 'completed',
+    finalizedAt: { $type: 'null' }
+  }).select('_id');
+
+  let finalized = 0;
+  for (const { _id } of due) {
+    let session = null;
+    try {
+      session = await AttendanceSession.findOneAndUpdate(
+        { _id, status: 'completed', finalizedAt: { $type: 'null' } },
+        { $set: { finalizedAt: new Date() } },
+        { new: true }
+      );
+      if (!session) continue;
+
+      await finalizeSession(io, session);
+      finalized++;
+    } catch (error) {
+      console.error(`Finalize session error (${_id}):`, error);
+      if (session) {
+        await AttendanceSession.updateOne(
+          { _id, finalizedAt: session.finalizedAt },
+          { $set: { finalizedAt: null } }
+        ).catch(releaseError => console.error(`Release finalize claim error (${_id}):`, releaseError));
+      }
+    }
+  }
+
+  return finalized;
+};
+
+// Run one pass of every lifecycle step
+const runTick = async (io, now = new Date()) => {
+  return {
+    started: await startDueSessions(io, now),
+    missed: await endMissedSessions(io, now),
+    windowsClosed: await closeExpiredWindows(io, now),
+    ended: await endExpiredSessions(io, now),
+    finalized: await finalizeCompletedSessions(io)
+  };
+};
+
+// Schedule the lifecycle job; returns the cron task so callers can stop it
+const startAttendanceScheduler = (io, expression = process.env.SCHEDULER_CRON || DEFAULT_CRON) => {
+  let running = false;
+
+  const task = cron.schedule(expression, async () => {
+    // Skip the tick if the previous one is still working
+    if (running) return;
+    running = true;
+
+    try {
+      await runTick(io);
+    } catch (error) {
+      console.error('Attendance scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log(`Attendance scheduler running (${expression})`);
+  return task;
+};
+
+module.exports = {
+  startAttendanceScheduler,
+  runTick,
+  startDueSessions,
+  endMissedSessions,
+  closeExpiredWindows,
+  endExpiredSessions,
+  finalizeCompletedSessions
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const STANDING_STATUSES = ['eligible', 'warning', 'shortage'];
+
+// A student's attendance standing in one classroom, recomputed after every
+// finalized session (see utils/eligibility)
+const attendanceStandingSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  // Weighted by the classroom's attendance weighting, so may be fractional
+  attended: {
+    type: Number,
+    default: 0
+  },
+  // Sessions that count towards the percentage
+  total: {
+    type: Number,
+    default: 0
+  },
+  // null until the student has a countable session
+  percentage: {
+    type: Number,
+    default: null
+  },
+  minimumPercentage: {
+    type: Number,
+    required: true
+  },
+  warningPercentage: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STANDING_STATUSES,
+    default: 'eligible'
+  },
+  // Consecutive classes the student must attend to reach the minimum
+  classesNeeded: {
+    type: Number,
+    default: 0
+  },
+  // Classes the student can still miss and stay at or above the minimum
+  classesCanMiss: {
+    type: Number,
+    default: 0
+  },
+  // Status the student was last alerted about; lowered silently when they
+  // recover so crossing the threshold again alerts again
+  alertedStatus: {
+    type: String,
+    enum: STANDING_STATUSES,
+    default: 'eligible'
+  },
+  alertedAt: {
+    type: Date,
+    default: null
+  },
+  lastSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    default: null
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+attendanceStandingSchema.index({ student: 1, classroom: 1 }, { unique: true });
+attendanceStandingSchema.index({ classroom: 1, status: 1 });
+
+// How serious a status is, for comparing two of them
+attendanceStandingSchema.statics.severity = function(status) {
+  return STANDING_STATUSES.indexOf(status);
+};
+
+module.exports = mongoose.model('AttendanceStanding', attendanceStandingSchema);
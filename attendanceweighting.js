@@ -0,0 +1,45 @@
+// How each attendance status counts towards a percentage. Present counts 1
+// and absent 0; late and excused are set per classroom in
+// settings.attendanceWeighting. An excused weight of null leaves excused
+// sessions out of the denominator altogether.
+const DEFAULT_WEIGHTING = {
+  lateWeight: 1,
+  excusedWeight: null
+};
+
+// Effective weighting of a classroom (or the defaults)
+const resolveWeighting = (classroom) => {
+  const own = (classroom && classroom.settings && classroom.settings.attendanceWeighting) || {};
+  return {
+    lateWeight: typeof own.lateWeight === 'number' ? own.lateWeight : DEFAULT_WEIGHTING.lateWeight,
+    excusedWeight: typeof own.excusedWeight === 'number' ? own.excusedWeight : DEFAULT_WEIGHTING.excusedWeight
+  };
+};
+
+// Weighted attendance for status counts.
+// Returns { attended, countable }; attended may be fractional.
+const weighCounts = ({ present = 0, late = 0, absent = 0, excused = 0 }, weighting = DEFAULT_WEIGHTING) => {
+  const excusedCounts = weighting.excusedWeight !== null && weighting.excusedWeight !== undefined;
+  return {
+    attended: present + late * weighting.lateWeight + (excusedCounts ? excused * weighting.excusedWeight : 0),
+    countable: present + late + absent + (excusedCounts ? excused : 0)
+  };
+};
+
+// Percentage rounded to two decimals, or null when nothing counts
+const toPercentage = (attended, countable) => {
+  return countable > 0 ? Math.round((attended / countable) * 10000) / 100 : null;
+};
+
+const weightedPercentage = (counts, weighting) => {
+  const { attended, countable } = weighCounts(counts, weighting);
+  return toPercentage(attended, countable);
+};
+
+module.exports = {
+  DEFAULT_WEIGHTING,
+  resolveWeighting,
+  weighCounts,
+  toPercentage,
+  weightedPercentage
+};
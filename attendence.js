@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { haversineDistance, evaluateGeofence, toGeoPoint } = require('../utils/geofence');
+const { resolveWeighting, weighCounts, toPercentage, weightedPercentage } = require('../utils/attendanceWeighting');
+const { applyRollupChanges, rollupsReady } = require('../utils/attendanceRollups');
+const { emitWebhookEvent } = require('../utils/webhooks');
 
 const attendanceSchema = new mongoose.Schema({
   classroom: {
@@ -30,17 +34,18 @@ const attendanceSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Coordinates are required for self-marked attendance; manual and corrected marks have none
   location: {
     latitude: {
       type: Number,
       required: function() {
-        return this.status === 'present' || this.status === 'late';
+        return this.markedBy === 'student' && (this.status === 'present' || this.status === 'late');
       }
     },
     longitude: {
       type: Number,
       required: function() {
-        return this.status === 'present' || this.status === 'late';
+        return this.markedBy === 'student' && (this.status === 'present' || this.status === 'late');
       }
     },
     accuracy: {
@@ -54,18 +59,67 @@ const attendanceSchema = new mongoose.Schema({
     isWithinGeofence: {
       type: Boolean,
       default: false
+    },
+    // GeoJSON point mirrored from latitude/longitude for the 2dsphere index
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    trust: {
+      score: {
+        type: Number, // 0-1
+        default: null
+      },
+      reasons: [{
+        code: String,
+        message: String
+      }],
+      outcome: {
+        type: String,
+        enum: ['accepted', 'flagged', 'review'],
+        default: null
+      },
+      evaluatedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
   verification: {
     method: {
       type: String,
-      enum: ['otp', 'biometric', 'location', 'manual'],
+      enum: ['otp', 'biometric', 'location', 'manual', 'qr'],
       required: true
     },
     otpCode: {
       type: String,
       default: null
     },
+    otp: {
+      verified: {
+        type: Boolean,
+        default: false
+      },
+      mode: {
+        type: String,
+        enum: ['session', 'student'],
+        default: null
+      },
+      channel: {
+        type: String,
+        default: null
+      },
+      verifiedAt: {
+        type: Date,
+        default: null
+      }
+    },
     biometricVerified: {
       type: Boolean,
       default: false
@@ -74,16 +128,52 @@ const attendanceSchema = new mongoose.Schema({
       type: Number, // confidence score 0-1
       default: null
     },
+    qrToken: {
+      generation: {
+        type: Number,
+        default: null
+      },
+      issuedAt: {
+        type: Date,
+        default: null
+      }
+    },
     deviceInfo: {
       userAgent: String,
       platform: String,
       ipAddress: String
+    },
+    // Set on offline marks: the device key that signed the capture
+    offline: {
+      keyId: {
+        type: String,
+        default: null
+      },
+      capturedAt: {
+        type: Date,
+        default: null
+      },
+      submittedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
+  // Captured on the device without connectivity and submitted later;
+  // markedAt is the capture time
+  offline: {
+    type: Boolean,
+    default: false
+  },
   notes: {
     type: String,
     default: null
   },
+  reviewStatus: {
+    type: String,
+    enum: ['none', 'pending', 'confirmed', 'dismissed'],
+    default: 'none'
+  },
   isProxy: {
     type: Boolean,
     default: false
@@ -94,7 +184,7 @@ const attendanceSchema = new mongoose.Schema({
   },
   markedBy: {
     type: String,
-    enum: ['student', 'teacher', 'admin'],
+    enum: ['student', 'teacher', 'admin', 'system'],
     default: 'student'
   },
   isEdited: {
@@ -121,160 +211,386 @@ const attendanceSchema = new mongoose.Schema({
 // Indexes for better performance
 attendanceSchema.index({ classroom: 1, student: 1 });
 attendanceSchema.index({ session: 1 });
+attendanceSchema.index({ session: 1, student: 1 }, { unique: true });
 attendanceSchema.index({ markedAt: 1 });
 attendanceSchema.index({ status: 1 });
-attendanceSchema.index({ 'location.latitude': 1, 'location.longitude': 1 });
+attendanceSchema.index({ session: 1, reviewStatus: 1 });
+attendanceSchema.index({ session: 1, offline: 1 });
+attendanceSchema.index({ 'location.point': '2dsphere' }, { sparse: true });
 
 // Compound indexes
 attendanceSchema.index({ classroom: 1, markedAt: -1 });
 attendanceSchema.index({ student: 1, markedAt: -1 });
 attendanceSchema.index({ teacher: 1, markedAt: -1 });
 
+// Remember the stored status so edits can be logged with their previous value
+attendanceSchema.post('init', function() {
+  this.$locals.originalStatus = this.status;
+  this.$locals.originalMarkedAt = this.markedAt;
+});
+
+// Set who is making the next change, for the audit log
+// `context` is { actor, actorRole, reason, ipAddress }
+attendanceSchema.methods.setAuditContext = function(context) {
+  this.$locals.auditContext = context;
+  return this;
+};
+
+// Work out the audit entry for this save before the modified paths are reset
+attendanceSchema.pre('save', function(next) {
+  const changes = this.modifiedPaths({ includeChildren: false })
+    .filter(path => !path.includes('.') && path !== 'updatedAt');
+
+  if (!this.isNew && changes.length === 0) {
+    this.$locals.pendingAudit = null;
+    return next();
+  }
+
+  let action = 'attendance.updated';
+  if (this.isNew) {
+    action = 'attendance.created';
+  } else if (this.isModified('status')) {
+    action = 'attendance.status_changed';
+  }
+
+  // Without an explicit context, a new record is attributed to whoever marked
+  // it and an edit to the system; human edits should call setAuditContext
+  const context = this.$locals.auditContext || (this.isNew
+    ? { actor: this.markedBy === 'student' ? this.student : null, actorRole: this.markedBy }
+    : { actorRole: 'system' });
+
+  this.$locals.pendingAudit = {
+    entry: {
+      entityType: 'attendance',
+      entity: this._id,
+      action,
+      classroom: this.classroom,
+      session: this.session,
+      student: this.student,
+      previousStatus: this.isNew ? null : this.$locals.originalStatus,
+      newStatus: this.status,
+      changes: this.isNew ? null : changes
+    },
+    context
+  };
+  next();
+});
+
+// Append the audit entry once the change is stored
+attendanceSchema.post('save', async function() {
+  const pending = this.$locals.pendingAudit;
+  if (!pending) return;
+
+  this.$locals.pendingAudit = null;
+  this.$locals.auditContext = null;
+  this.$locals.originalStatus = this.status;
+  // The record is already stored; a failure here must not fail the save
+  // or skip the hooks after it
+  try {
+    await mongoose.model('AuditLog').record(pending.entry, pending.context);
+  } catch (error) {
+    console.error('Attendance audit log error:', error);
+  }
+});
+
+// Note status changes for the rollups before the modified paths are reset
+attendanceSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.$locals.rollupChanges = [{ markedAt: this.markedAt, from: null, to: this.status }];
+  } else if (this.isModified('markedAt')) {
+    // Moved in time: take it out of the old day and week, add it to the new
+    this.$locals.rollupChanges = [
+      { markedAt: this.$locals.originalMarkedAt, from: this.$locals.originalStatus, to: null },
+      { markedAt: this.markedAt, from: null, to: this.status }
+    ];
+  } else if (this.isModified('status')) {
+    this.$locals.rollupChanges = [{ markedAt: this.markedAt, from: this.$locals.originalStatus, to: this.status }];
+  } else {
+    this.$locals.rollupChanges = null;
+  }
+  next();
+});
+
+// Publish creations and edits to webhook subscribers
+attendanceSchema.pre('save', function(next) {
+  const changes = this.modifiedPaths({ includeChildren: false })
+    .filter(path => !path.includes('.') && path !== 'updatedAt');
+
+  if (this.isNew) {
+    this.$locals.webhookEvent = { event: 'attendance.marked', previousStatus: null, changes: null };
+  } else if (changes.length > 0) {
+    this.$locals.webhookEvent = { event: 'attendance.edited', previousStatus: this.$locals.originalStatus, changes };
+  } else {
+    this.$locals.webhookEvent = null;
+  }
+  next();
+});
+
+attendanceSchema.post('save', async function() {
+  const pending = this.$locals.webhookEvent;
+  if (!pending) return;
+
+  // Ids only, even when the references are populated
+  const idOf = (value) => (value && value._id) || value;
+
+  this.$locals.webhookEvent = null;
+  await emitWebhookEvent(pending.event, {
+    attendanceId: this._id,
+    sessionId: idOf(this.session),
+    classroomId: idOf(this.classroom),
+    studentId: idOf(this.student),
+    status: this.status,
+    previousStatus: pending.previousStatus,
+    changes: pending.changes,
+    markedBy: this.markedBy,
+    method: this.verification && this.verification.method,
+    markedAt: this.markedAt
+  });
+});
+
+// Keep the rollups in step. The record is already stored, so a failure here
+// is logged rather than failing the request; rebuildRollups repairs drift.
+attendanceSchema.post('save', async function() {
+  const changes = this.$locals.rollupChanges;
+  if (!changes) return;
+
+  this.$locals.rollupChanges = null;
+  this.$locals.originalMarkedAt = this.markedAt;
+  try {
+    await applyRollupChanges(changes.map(change => ({
+      student: this.student,
+      classroom: this.classroom,
+      ...change
+    })));
+  } catch (error) {
+    console.error('Attendance rollup update error:', error);
+  }
+});
+
+// Mirror the marked coordinates into a GeoJSON point
+attendanceSchema.pre('validate', function(next) {
+  if (this.location && this.location.latitude != null && this.location.longitude != null) {
+    this.location.point = toGeoPoint(this.location);
+  }
+  next();
+});
+
 // Calculate distance between two coordinates
 attendanceSchema.methods.calculateDistance = function(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c; // Distance in meters
+  return haversineDistance(lat1, lon1, lat2, lon2); // Distance in meters
+};
+
+// Evaluate the marked location against a classroom or session location
+// Returns { shape, inside, zone, distanceToEdge }
+attendanceSchema.methods.evaluateGeofence = function(location) {
+  if (this.location.latitude == null || this.location.longitude == null) {
+    return { shape: null, inside: false, zone: null, distanceToEdge: null };
+  }
+
+  return evaluateGeofence(location, this.location);
 };
 
 // Check if location is within geofence
+// Accepts a full location (polygon or circle) or legacy coordinates plus radius
 attendanceSchema.methods.isWithinGeofence = function(classroomLocation, radius) {
-  if (!this.location.latitude || !this.location.longitude) {
-    return false;
-  }
-  
-  const distance = this.calculateDistance(
-    this.location.latitude,
-    this.location.longitude,
-    classroomLocation.latitude,
-    classroomLocation.longitude
-  );
-  
-  return distance <= radius;
+  const location = radius === undefined
+    ? classroomLocation
+    : { coordinates: classroomLocation, radius };
+
+  return this.evaluateGeofence(location).inside;
 };
 
-// Get attendance summary for a student
-attendanceSchema.statics.getStudentSummary = function(studentId, classroomId, startDate, endDate) {
-  const matchStage = {
-    student: mongoose.Types.ObjectId(studentId)
-  };
-  
-  if (classroomId) {
-    matchStage.classroom = mongoose.Types.ObjectId(classroomId);
+// Record a teacher's decision on a flagged record
+// Confirming a flag marks the student absent; dismissing it clears the flag.
+// Only pending records can be reviewed.
+attendanceSchema.methods.applyReview = function(decision, reviewer, reason, ipAddress) {
+  if (this.reviewStatus !== 'pending') {
+    return Promise.reject(new Error('Attendance record is not pending review'));
   }
-  
-  if (startDate && endDate) {
-    matchStage.markedAt = {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate)
-    };
+
+  if (decision === 'confirm') {
+    this.status = 'absent';
+    this.reviewStatus = 'confirmed';
+  } else {
+    this.isProxy = false;
+    this.reviewStatus = 'dismissed';
   }
-  
-  return this.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$count' },
-        present: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'present'] }, '$count', 0]
-          }
-        },
-        absent: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'absent'] }, '$count', 0]
-          }
-        },
-        late: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'late'] }, '$count', 0]
-          }
-        },
-        excused: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'excused'] }, '$count', 0]
-          }
-        }
-      }
-    },
-    {
-      $addFields: {
-        attendancePercentage: {
-          $multiply: [
-            { $divide: ['$present', '$total'] },
-            100
-          ]
-        }
-      }
+
+  this.isEdited = true;
+  this.editedBy = reviewer._id;
+  this.editedAt = new Date();
+  this.editReason = reason;
+  this.setAuditContext({ actor: reviewer, reason, ipAddress });
+  return this.save();
+};
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Count expressions for a $group over raw records
+const statusCounts = Object.fromEntries(STATUSES.map(status => [
+  status,
+  { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+]));
+
+// Status counts of a rollup, with missing statuses as 0
+const rollupCounts = (rollup) => Object.fromEntries(STATUSES.map(status => [status, (rollup.counts && rollup.counts[status]) || 0]));
+
+const countTotal = (counts) => STATUSES.reduce((sum, status) => sum + counts[status], 0);
+
+// Summary over per-classroom counts ([{ classroom, present, absent, late,
+// excused }]). The percentage weighs each classroom's records by that
+// classroom's attendance weighting.
+const summarizeByClassroom = async (rows) => {
+  const Classroom = mongoose.model('Classroom');
+  const classroomIds = [...new Set(rows.map(row => row.classroom.toString()))];
+  const classrooms = await Classroom.find({ _id: { $in: classroomIds } }).select('settings.attendanceWeighting');
+  const weightings = new Map(classrooms.map(classroom => [classroom._id.toString(), resolveWeighting(classroom)]));
+
+  const summary = { _id: null, total: 0, present: 0, absent: 0, late: 0, excused: 0 };
+  let attended = 0;
+  let countable = 0;
+  for (const row of rows) {
+    STATUSES.forEach(status => {
+      summary[status] += row[status];
+    });
+    summary.total += countTotal(row);
+
+    const weighed = weighCounts(row, weightings.get(row.classroom.toString()) || resolveWeighting(null));
+    attended += weighed.attended;
+    countable += weighed.countable;
+  }
+
+  summary.attended = attended;
+  summary.countable = countable;
+  // Kept numeric for dashboards even when every record is excused
+  summary.attendancePercentage = toPercentage(attended, countable) ?? 0;
+  return summary;
+};
+
+// Get attendance summary for a student. Served from the student rollups
+// unless a date range needs the raw records, or the rollups have not been
+// rebuilt yet.
+attendanceSchema.statics.getStudentSummary = async function(studentId, classroomId, startDate, endDate) {
+  const student = new mongoose.Types.ObjectId(studentId);
+  let rows;
+
+  if ((startDate && endDate) || !(await rollupsReady())) {
+    const matchStage = { student };
+    if (startDate && endDate) {
+      matchStage.markedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
     }
-  ]);
+    if (classroomId) {
+      matchStage.classroom = new mongoose.Types.ObjectId(classroomId);
+    }
+
+    const groups = await this.aggregate([
+      { $match: matchStage },
+      { $group: { _id: '$classroom', ...statusCounts } }
+    ]);
+    rows = groups.map(({ _id, ...counts }) => ({ classroom: _id, ...counts }));
+  } else {
+    const filter = { kind: 'student_classroom', student };
+    if (classroomId) {
+      filter.classroom = new mongoose.Types.ObjectId(classroomId);
+    }
+
+    const rollups = await mongoose.model('AttendanceRollup').find(filter).lean();
+    rows = rollups.map(rollup => ({ classroom: rollup.classroom, ...rollupCounts(rollup) }));
+  }
+
+  rows = rows.filter(row => STATUSES.some(status => row[status] > 0));
+  return rows.length > 0 ? [await summarizeByClassroom(rows)] : [];
 };
 
-// Get classroom attendance summary
-attendanceSchema.statics.getClassroomSummary = function(classroomId, sessionId) {
-  const matchStage = { classroom: mongoose.Types.ObjectId(classroomId) };
-  
-  if (sessionId) {
-    matchStage.session = mongoose.Types.ObjectId(sessionId);
+// Get classroom attendance summary. Served from the student rollups unless
+// it is for a single session, or the rollups have not been rebuilt yet.
+attendanceSchema.statics.getClassroomSummary = async function(classroomId, sessionId) {
+  const classroomObjectId = new mongoose.Types.ObjectId(classroomId);
+  let perStudent;
+
+  if (sessionId || !(await rollupsReady())) {
+    const matchStage = { classroom: classroomObjectId };
+    if (sessionId) {
+      matchStage.session = new mongoose.Types.ObjectId(sessionId);
+    }
+    perStudent = await this.aggregate([
+      { $match: matchStage },
+      { $group: { _id: '$student', ...statusCounts } }
+    ]);
+  } else {
+    const rollups = await mongoose.model('AttendanceRollup').find({ kind: 'student_classroom', classroom: classroomObjectId }).lean();
+    perStudent = rollups.map(rollupCounts);
   }
-  
-  return this.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 },
-        students: { $addToSet: '$student' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$count' },
-        present: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'present'] }, '$count', 0]
-          }
-        },
-        absent: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'absent'] }, '$count', 0]
-          }
-        },
-        late: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'late'] }, '$count', 0]
-          }
-        },
-        excused: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'excused'] }, '$count', 0]
-          }
-        },
-        uniqueStudents: {
-          $sum: {
-            $cond: [{ $eq: ['$_id', 'present'] }, { $size: '$students' }, 0]
-          }
-        }
-      }
+
+  perStudent = perStudent.filter(counts => STATUSES.some(status => counts[status] > 0));
+  if (perStudent.length === 0) {
+    return [];
+  }
+
+  const summary = { _id: null, total: 0, present: 0, absent: 0, late: 0, excused: 0, uniqueStudents: 0 };
+  for (const counts of perStudent) {
+    STATUSES.forEach(status => {
+      summary[status] += counts[status];
+    });
+    summary.total += countTotal(counts);
+    // Students with at least one present record
+    if (counts.present > 0) {
+      summary.uniqueStudents++;
     }
+  }
+
+  const classroom = await mongoose.model('Classroom').findById(classroomId).select('settings.attendanceWeighting');
+  summary.attendancePercentage = weightedPercentage(summary, resolveWeighting(classroom)) ?? 0;
+
+  return [summary];
+};
+
+// Daily totals for a classroom from the rollups, oldest first
+attendanceSchema.statics.getClassroomDailySummary = async function(classroomId, startDate, endDate) {
+  const filter = { kind: 'classroom_day', classroom: new mongoose.Types.ObjectId(classroomId) };
+  if (startDate && endDate) {
+    filter.period = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+
+  const [rollups, classroom] = await Promise.all([
+    mongoose.model('AttendanceRollup').find(filter).sort({ period: 1 }).lean(),
+    mongoose.model('Classroom').findById(classroomId).select('settings.attendanceWeighting')
   ]);
+  const weighting = resolveWeighting(classroom);
+
+  return rollups.map(rollup => {
+    const counts = rollupCounts(rollup);
+    return {
+      date: rollup.period,
+      total: countTotal(counts),
+      ...counts,
+      attendancePercentage: weightedPercentage(counts, weighting) ?? 0
+    };
+  });
+};
+
+// Weekly totals for a department from the rollups, oldest first. Classrooms
+// may weigh late and excused differently, so this uses the default weighting.
+attendanceSchema.statics.getDepartmentWeeklySummary = async function(department, startDate, endDate) {
+  const filter = { kind: 'department_week', department };
+  if (startDate && endDate) {
+    filter.period = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+
+  const rollups = await mongoose.model('AttendanceRollup').find(filter).sort({ period: 1 }).lean();
+
+  return rollups.map(rollup => {
+    const counts = rollupCounts(rollup);
+    return {
+      weekStart: rollup.period,
+      total: countTotal(counts),
+      ...counts,
+      attendancePercentage: weightedPercentage(counts) ?? 0
+    };
+  });
 };
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
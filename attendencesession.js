@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { signToken, verifyToken, generateSecret, CLOCK_SKEW_MS } = require('../utils/qrToken');
+const { isValidGeofence, geofenceCenter, toGeoPoint } = require('../utils/geofence');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { resolveWeighting, weightedPercentage } = require('../utils/attendanceWeighting');
+const { applyRollupChanges } = require('../utils/attendanceRollups');
+const { emitWebhookEvent, emitWebhookEvents } = require('../utils/webhooks');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
 
 const attendanceSessionSchema = new mongoose.Schema({
   classroom: {
@@ -6,6 +13,8 @@ const attendanceSessionSchema = new mongoose.Schema({
     ref: 'Classroom',
     required: true
   },
+  // Whoever runs the session: the classroom teacher, an admin, or a staff
+  // member allowed to run sessions. Records marked in it are attributed to them.
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -47,6 +56,19 @@ const attendanceSessionSchema = new mongoose.Schema({
     enum: ['scheduled', 'active', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  windowClosedAt: {
+    type: Date,
+    default: null
+  },
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
+  // Timetable date (YYYY-MM-DD) for sessions generated from Classroom.schedule
+  occurrenceDate: {
+    type: String,
+    default: null
+  },
   settings: {
     allowLateAttendance: {
       type: Boolean,
@@ -60,15 +82,79 @@ const attendanceSessionSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    faceMatchThreshold: {
+      type: Number,
+      default: 0.5, // match score a selfie needs when requireBiometric is set
+      min: 0,
+      max: 1
+    },
     autoMarkAbsent: {
       type: Boolean,
       default: true
     },
+    // Accept marks captured offline and submitted later (see utils/offlineMark);
+    // off unless a teacher opts in
+    allowOfflineMarking: {
+      type: Boolean,
+      default: false
+    },
+    // How long after the session ends offline marks are still accepted
+    offlineSubmissionHours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 168
+    },
     attendanceWindowMinutes: {
       type: Number,
       default: 5,
       min: 1,
       max: 30
+    },
+    qrRotationSeconds: {
+      type: Number,
+      default: 15,
+      min: 5,
+      max: 300
+    },
+    minLocationTrust: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+      max: 1
+    },
+    lowTrustAction: {
+      type: String,
+      enum: ['reject', 'review', 'flag'],
+      default: 'review'
+    },
+    otpMode: {
+      type: String,
+      enum: ['session', 'student'], // one code on screen, or one per student
+      default: 'session'
+    },
+    otpChannel: {
+      type: String,
+      enum: ['screen', 'email', 'sms'],
+      default: 'screen'
+    },
+    otpLength: {
+      type: Number,
+      default: 6,
+      min: 4,
+      max: 8
+    },
+    otpLifetimeSeconds: {
+      type: Number,
+      default: 120,
+      min: 30,
+      max: 1800
+    },
+    otpMaxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 10
     }
   },
   location: {
@@ -91,6 +177,33 @@ const attendanceSessionSchema = new mongoose.Schema({
       default: 100, // meters
       min: 10,
       max: 1000
+    },
+    // GeoJSON point mirrored from coordinates for the 2dsphere index
+    center: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    // Optional GeoJSON Polygon/MultiPolygon; the radius circle is used when absent
+    geofence: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon']
+      },
+      coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        validate: {
+          validator: function(coordinates) {
+            return isValidGeofence({ type: this.location.geofence.type, coordinates });
+          },
+          message: 'Geofence must be closed GeoJSON rings of at least four [lng, lat] positions whose edges do not cross'
+        }
+      }
     }
   },
   attendance: [{
@@ -127,6 +240,10 @@ const attendanceSessionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  qrSecret: {
+    type: String,
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -151,11 +268,49 @@ attendanceSessionSchema.index({ scheduledDate: 1 });
 attendanceSessionSchema.index({ status: 1 });
 attendanceSessionSchema.index({ startTime: 1, endTime: 1 });
 attendanceSessionSchema.index({ 'attendanceWindow.start': 1, 'attendanceWindow.end': 1 });
+attendanceSessionSchema.index({ 'location.center': '2dsphere' });
+attendanceSessionSchema.index({ 'location.geofence': '2dsphere' }, { sparse: true });
 
 // Compound indexes
 attendanceSessionSchema.index({ classroom: 1, scheduledDate: -1 });
 attendanceSessionSchema.index({ teacher: 1, scheduledDate: -1 });
 attendanceSessionSchema.index({ status: 1, scheduledDate: -1 });
+attendanceSessionSchema.index(
+  { classroom: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { occurrenceDate: { $type: 'string' } } }
+);
+
+// The session teacher must be allowed to run sessions in the classroom.
+// Only checked when the teacher is set: a session must stay saveable after
+// its teacher leaves the classroom staff.
+attendanceSessionSchema.path('teacher').validate(async function(teacherId) {
+  if (!this.isNew && !this.isModified('teacher')) {
+    return true;
+  }
+  const [classroom, user] = await Promise.all([
+    mongoose.model('Classroom').findById(this.classroom).select('teacher students staff department'),
+    mongoose.model('User').findById(teacherId).select('role department permissions permissionTemplates')
+  ]);
+  return !!classroom && !!user && hasClassroomPermission(user, 'sessions:run', classroom);
+}, 'Session teacher is not allowed to run sessions in this classroom');
+
+// Per-student codes must reach the student privately, never the screen
+attendanceSessionSchema.path('settings.otpChannel').validate(function(channel) {
+  return !(channel === 'screen' && this.settings.otpMode === 'student');
+}, 'Per-student OTPs need a private channel (email or sms)');
+
+// Keep the centre point in step with the geofence and coordinates
+attendanceSessionSchema.pre('validate', function(next) {
+  const { location } = this;
+  if (location && location.geofence && location.geofence.type &&
+      (!location.coordinates || location.coordinates.latitude == null)) {
+    location.coordinates = geofenceCenter(location.geofence);
+  }
+  if (location && location.coordinates && location.coordinates.latitude != null) {
+    location.center = toGeoPoint(location.coordinates);
+  }
+  next();
+});
 
 // Pre-save middleware to calculate attendance window
 attendanceSessionSchema.pre('save', function(next) {
@@ -163,6 +318,9 @@ attendanceSessionSchema.pre('save', function(next) {
     this.attendanceWindow.start = this.startTime;
     this.attendanceWindow.end = new Date(this.startTime.getTime() + (this.settings.attendanceWindowMinutes * 60 * 1000));
   }
+  if (this.isNew && !this.qrSecret) {
+    this.qrSecret = generateSecret();
+  }
   next();
 });
 
@@ -195,26 +353,154 @@ attendanceSessionSchema.methods.canMarkAttendance = function(studentId) {
   return { canMark: true };
 };
 
+// Get the QR token generation for a point in time (rotates every qrRotationSeconds)
+attendanceSessionSchema.methods.getQrGeneration = function(now = Date.now()) {
+  const rotationMs = this.settings.qrRotationSeconds * 1000;
+  return Math.floor((now - this.attendanceWindow.start.getTime()) / rotationMs);
+};
+
+// Sessions created before QR check-in have no secret; create it on first
+// use. The conditional update keeps concurrent first requests on one secret.
+attendanceSessionSchema.methods.ensureQrSecret = async function() {
+  if (this.qrSecret) {
+    return this.qrSecret;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, qrSecret: null },
+    { $set: { qrSecret: generateSecret() } }
+  );
+  const stored = await this.constructor.findById(this._id).select('+qrSecret').lean();
+  this.qrSecret = stored.qrSecret;
+  this.unmarkModified('qrSecret');
+  return this.qrSecret;
+};
+
+// Issue the current signed QR token (session must be loaded with +qrSecret)
+attendanceSessionSchema.methods.generateQrToken = function(now = Date.now()) {
+  if (!this.isAttendanceWindowOpen()) {
+    return null;
+  }
+
+  const rotationMs = this.settings.qrRotationSeconds * 1000;
+  const windowStart = this.attendanceWindow.start.getTime();
+  const generation = this.getQrGeneration(now);
+  const expiresAt = Math.min(
+    windowStart + (generation + 1) * rotationMs,
+    this.attendanceWindow.end.getTime()
+  );
+
+  const token = signToken({
+    sid: this._id.toString(),
+    ws: windowStart,
+    gen: generation,
+    iat: now,
+    exp: expiresAt
+  }, this.qrSecret);
+
+  return { token, generation, expiresAt: new Date(expiresAt) };
+};
+
+// Verify a scanned QR token (session must be loaded with +qrSecret)
+attendanceSessionSchema.methods.verifyQrToken = function(token, now = Date.now()) {
+  if (!this.isAttendanceWindowOpen()) {
+    return { valid: false, code: 'ATTENDANCE_WINDOW_CLOSED', reason: 'Attendance window is closed' };
+  }
+
+  const result = verifyToken(token, this.qrSecret);
+  if (!result.valid) {
+    return result;
+  }
+
+  const { payload } = result;
+  if (payload.sid !== this._id.toString()) {
+    return { valid: false, code: 'QR_TOKEN_INVALID', reason: 'QR code belongs to another session' };
+  }
+
+  const currentGeneration = this.getQrGeneration(now);
+  if (payload.gen > currentGeneration) {
+    return { valid: false, code: 'QR_TOKEN_INVALID', reason: 'QR code is not yet valid' };
+  }
+
+  // A code from an earlier window, or more than one rotation old, is a captured code being replayed
+  if (payload.ws !== this.attendanceWindow.start.getTime() || payload.gen < currentGeneration - 1) {
+    return { valid: false, code: 'QR_TOKEN_REPLAYED', reason: 'QR code has already been rotated out' };
+  }
+
+  if (now > payload.exp + CLOCK_SKEW_MS) {
+    return { valid: false, code: 'QR_TOKEN_EXPIRED', reason: 'QR code has expired' };
+  }
+
+  return {
+    valid: true,
+    generation: payload.gen,
+    issuedAt: new Date(payload.iat)
+  };
+};
+
+// Record a lifecycle change in the audit log
+// `context` is { actor, actorRole, reason, ipAddress }; omit it for system actions
+attendanceSessionSchema.methods.logLifecycle = async function(action, previousStatus, context) {
+  const AuditLog = mongoose.model('AuditLog');
+  await AuditLog.record({
+    entityType: 'session',
+    entity: this._id,
+    action,
+    classroom: this.classroom,
+    session: this._id,
+    previousStatus,
+    newStatus: this.status
+  }, context);
+
+  // Starts and ends are also published to webhook subscribers
+  if (WEBHOOK_EVENTS.includes(action)) {
+    await emitWebhookEvent(action, {
+      sessionId: this._id,
+      classroomId: this.classroom,
+      teacherId: this.teacher,
+      title: this.title,
+      status: this.status,
+      previousStatus,
+      scheduledDate: this.scheduledDate,
+      startTime: this.startTime,
+      endTime: this.endTime
+    });
+  }
+};
+
 // Start the attendance session
-attendanceSessionSchema.methods.startSession = function() {
+attendanceSessionSchema.methods.startSession = async function(context) {
+  const previousStatus = this.status;
   this.status = 'active';
   this.startTime = new Date();
   this.attendanceWindow.start = this.startTime;
   this.attendanceWindow.end = new Date(this.startTime.getTime() + (this.settings.attendanceWindowMinutes * 60 * 1000));
-  return this.save();
+  this.windowClosedAt = null;
+  await this.save();
+  await this.logLifecycle('session.started', previousStatus, context);
+  return this;
 };
 
 // End the attendance session
-attendanceSessionSchema.methods.endSession = function() {
+attendanceSessionSchema.methods.endSession = async function(context) {
+  const previousStatus = this.status;
   this.status = 'completed';
   this.endTime = new Date();
-  return this.save();
+  if (!this.windowClosedAt) {
+    this.windowClosedAt = this.endTime;
+  }
+  await this.save();
+  await this.logLifecycle('session.ended', previousStatus, context);
+  return this;
 };
 
 // Cancel the attendance session
-attendanceSessionSchema.methods.cancelSession = function() {
+attendanceSessionSchema.methods.cancelSession = async function(context) {
+  const previousStatus = this.status;
   this.status = 'cancelled';
-  return this.save();
+  await this.save();
+  await this.logLifecycle('session.cancelled', previousStatus, context);
+  return this;
 };
 
 // Update statistics
@@ -237,14 +523,99 @@ attendanceSessionSchema.methods.updateStatistics = async function() {
   this.statistics.lateCount = stats.find(s => s._id === 'late')?.count || 0;
   this.statistics.excusedCount = stats.find(s => s._id === 'excused')?.count || 0;
   
-  if (this.statistics.totalStudents > 0) {
-    this.statistics.attendancePercentage = 
-      (this.statistics.presentCount / this.statistics.totalStudents) * 100;
-  }
+  const classroom = await mongoose.model('Classroom').findById(this.classroom).select('settings.attendanceWeighting');
+  this.statistics.attendancePercentage = weightedPercentage({
+    present: this.statistics.presentCount,
+    late: this.statistics.lateCount,
+    absent: this.statistics.absentCount,
+    excused: this.statistics.excusedCount
+  }, resolveWeighting(classroom)) ?? 0;
   
   return this.save();
 };
 
+// Create absent records for enrolled students who did not mark attendance
+// Safe to run more than once: existing records are never overwritten
+attendanceSessionSchema.methods.markAbsentStudents = async function() {
+  const Attendance = mongoose.model('Attendance');
+  const Classroom = mongoose.model('Classroom');
+
+  const classroom = await Classroom.findById(this.classroom).select('students');
+  if (!classroom || classroom.students.length === 0) {
+    return 0;
+  }
+
+  const markedAt = new Date();
+  const result = await Attendance.bulkWrite(classroom.students.map(studentId => ({
+    updateOne: {
+      filter: { session: this._id, student: studentId },
+      update: {
+        $setOnInsert: {
+          classroom: this.classroom,
+          student: studentId,
+          teacher: this.teacher,
+          session: this._id,
+          status: 'absent',
+          markedAt,
+          verification: { method: 'manual' },
+          markedBy: 'system',
+          notes: 'Auto-marked absent - no attendance recorded'
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const upserted = Object.entries(result.upsertedIds || {});
+  const createdIds = upserted.map(([, id]) => id);
+  if (createdIds.length > 0) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $addToSet: { attendance: { $each: createdIds } } }
+    );
+    this.attendance.addToSet(...createdIds);
+
+    // bulkWrite skips document middleware, so log the new records here
+    await mongoose.model('AuditLog').recordMany(upserted.map(([index, id]) => ({
+      entityType: 'attendance',
+      entity: id,
+      action: 'attendance.created',
+      classroom: this.classroom,
+      session: this._id,
+      student: classroom.students[index],
+      newStatus: 'absent'
+    })), { reason: 'Auto-marked absent - no attendance recorded' });
+
+    // ...or the rollups. The records exist now and won't be inserted again,
+    // so a failure is logged for rebuildRollups to repair, not retried.
+    try {
+      await applyRollupChanges(upserted.map(([index]) => ({
+        student: classroom.students[index],
+        classroom: this.classroom,
+        markedAt,
+        from: null,
+        to: 'absent'
+      })));
+    } catch (error) {
+      console.error('Attendance rollup update error:', error);
+    }
+
+    await emitWebhookEvents('attendance.marked', upserted.map(([index, id]) => ({
+      attendanceId: id,
+      sessionId: this._id,
+      classroomId: this.classroom,
+      studentId: classroom.students[index],
+      status: 'absent',
+      previousStatus: null,
+      markedBy: 'system',
+      method: 'manual',
+      markedAt
+    })));
+  }
+
+  return createdIds.length;
+};
+
 // Get session summary
 attendanceSessionSchema.methods.getSummary = function() {
   return {
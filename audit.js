@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const { authenticateToken } = require('../middleware/auth');
+const { hasPermission, classroomFilterFor } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Audit entries are read-only: this router only exposes GET endpoints
+
+// Restrict a filter to what the current user may see: the classrooms their
+// audit:view permission reaches, or otherwise their own records
+const scopeFilter = async (user, filter) => {
+  const classroomFilter = classroomFilterFor(user, 'audit:view');
+  if (!classroomFilter) {
+    return { ...filter, student: user._id };
+  }
+
+  if (Object.keys(classroomFilter).length === 0) {
+    return filter;
+  }
+
+  const classrooms = await Classroom.find(classroomFilter).distinct('_id');
+  return { ...filter, classroom: { $in: classrooms } };
+};
+
+const sendHistory = async (req, res, filter) => {
+  const { page = 1, limit = 50, startDate, endDate } = req.query;
+  const scoped = await scopeFilter(req.user, filter);
+  const history = await AuditLog.getHistory(scoped, {
+    page,
+    limit: Math.min(limit, 200),
+    startDate,
+    endDate
+  });
+
+  res.json({
+    entries: history.entries.map(entry => ({
+      id: entry._id,
+      entityType: entry.entityType,
+      entity: entry.entity,
+      action: entry.action,
+      classroom: entry.classroom,
+      session: entry.session,
+      student: entry.student,
+      actor: entry.actor,
+      actorRole: entry.actorRole,
+      previousStatus: entry.previousStatus,
+      newStatus: entry.newStatus,
+      reason: entry.reason,
+      ipAddress: entry.ipAddress,
+      changes: entry.changes,
+      createdAt: entry.createdAt
+    })),
+    pagination: history.pagination
+  });
+};
+
+const invalidId = (res) => res.status(400).json({
+  message: 'Invalid ID',
+  code: 'INVALID_ID'
+});
+
+// Audit history for a student's attendance records
+router.get('/students/:studentId', authenticateToken, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(studentId)) return invalidId(res);
+
+    if (req.user.role === 'student' && !req.user._id.equals(studentId)) {
+      return res.status(403).json({
+        message: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    await sendHistory(req, res, { student: new mongoose.Types.ObjectId(studentId) });
+  } catch (error) {
+    console.error('Get student audit log error:', error);
+    res.status(500).json({
+      message: 'Failed to get audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Audit history for a session: its lifecycle and every record in it
+router.get('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return invalidId(res);
+
+    const session = await AttendanceSession.findById(sessionId).select('_id');
+    if (!session) {
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await sendHistory(req, res, { session: session._id });
+  } catch (error) {
+    console.error('Get session audit log error:', error);
+    res.status(500).json({
+      message: 'Failed to get audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Changes made by a particular user
+router.get('/actors/:actorId', authenticateToken, async (req, res) => {
+  try {
+    const { actorId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(actorId)) return invalidId(res);
+
+    if (!hasPermission(req.user, 'audit:view') && !req.user._id.equals(actorId)) {
+      return res.status(403).json({
+        message: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    await sendHistory(req, res, { actor: new mongoose.Types.ObjectId(actorId) });
+  } catch (error) {
+    console.error('Get actor audit log error:', error);
+    res.status(500).json({
+      message: 'Failed to get audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Append-only record of changes to attendance records, session lifecycle
+// and account locks
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['attendance', 'session', 'account'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    default: null
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system actions
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'teacher', 'student', 'system'],
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  newStatus: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the per-student, per-session and per-actor views
+auditLogSchema.index({ student: 1, createdAt: -1 });
+auditLogSchema.index({ session: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+
+// Entries are immutable: block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// Build the actor fields from a user (or nothing, for the system)
+const actorFields = (context = {}) => ({
+  actor: context.actor ? context.actor._id || context.actor : null,
+  actorRole: context.actorRole || (context.actor && context.actor.role) || 'system',
+  reason: context.reason || null,
+  ipAddress: context.ipAddress || null
+});
+
+// Append an entry
+auditLogSchema.statics.record = function(entry, context) {
+  return this.create({ ...entry, ...actorFields(context) });
+};
+
+// Append several entries sharing one context
+auditLogSchema.statics.recordMany = function(entries, context) {
+  if (entries.length === 0) {
+    return Promise.resolve([]);
+  }
+  const actor = actorFields(context);
+  return this.insertMany(entries.map(entry => ({ ...entry, ...actor })));
+};
+
+// Paginated history for a filter (student, session or actor)
+auditLogSchema.statics.getHistory = async function(filter, { page = 1, limit = 50, startDate, endDate } = {}) {
+  const query = { ...filter };
+  if (startDate && endDate) {
+    query.createdAt = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  }
+
+  const [entries, total] = await Promise.all([
+    this.find(query)
+      .populate('actor', 'firstName lastName email role')
+      .populate('student', 'firstName lastName email studentId')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    this.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      current: parseInt(page),
+      pages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
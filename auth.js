@@ -1,5 +1,53 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { verifyAccessToken, TokenRevokedError } = require('../utils/jwtKeys');
+const { hasPermission, hasClassroomPermission } = require('../utils/permissions');
+const { createRateLimiter } = require('./rateLimit');
+const { getUnverifiedPolicy } = require('../utils/accountVerification');
+
+// Verify an access token and load its user, rejecting revoked tokens
+// Resolves to { user, sessionId }; user is null when it no longer exists
+const resolveToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return { user: null, sessionId: null };
+  }
+
+  if (user.tokensRevokedAt && decoded.iat < Math.floor(user.tokensRevokedAt.getTime() / 1000)) {
+    throw new TokenRevokedError();
+  }
+
+  if (decoded.sid) {
+    const active = await AuthSession.exists({
+      _id: decoded.sid,
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!active) {
+      throw new TokenRevokedError();
+    }
+  }
+
+  return { user, sessionId: decoded.sid || null };
+};
+
+// Resolve the user a JWT was issued to
+const getUserFromToken = async (token) => {
+  const { user } = await resolveToken(token);
+  return user;
+};
+
+// Check whether a user may access a classroom
+const canAccessClassroom = (user, classroom) => {
+  return hasClassroomPermission(user, 'classroom:view', classroom);
+};
+
+// Check whether a user may run a classroom (owning teacher or admin by default)
+const canManageClassroom = (user, classroom) => {
+  return hasClassroomPermission(user, 'classroom:manage', classroom);
+};
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -14,8 +62,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, sessionId } = await resolveToken(token);
     
     if (!user) {
       return res.status(401).json({ 
@@ -38,9 +85,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!user.isVerified && getUnverifiedPolicy() === 'block-all') {
+      return res.status(403).json({ 
+        message: 'Email not verified. Please verify your email first.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     req.user = user;
+    req.authSessionId = sessionId;
     next();
   } catch (error) {
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({ 
+        message: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
         message: 'Invalid token',
@@ -86,6 +148,57 @@ const requireRole = (...roles) => {
   };
 };
 
+// Check if user holds every listed permission; when an earlier middleware
+// loaded req.classroom, the permissions must also reach that classroom
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const missing = permissions.filter(permission => (req.classroom
+      ? !hasClassroomPermission(req.user, permission, req.classroom)
+      : !hasPermission(req.user, permission)));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ 
+        message: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: permissions,
+        missing
+      });
+    }
+
+    next();
+  };
+};
+
+// Check if user holds at least one of the listed permissions (e.g. any
+// reporting scope); routes narrow the data to that scope themselves
+const requireAnyPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ 
+        message: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: permissions
+      });
+    }
+
+    next();
+  };
+};
+
 // Check if user is admin
 const requireAdmin = requireRole('admin');
 
@@ -109,20 +222,7 @@ const requireClassroomAccess = async (req, res, next) => {
       });
     }
 
-    // Admin can access any classroom
-    if (req.user.role === 'admin') {
-      req.classroom = classroom;
-      return next();
-    }
-
-    // Teacher can access their own classrooms
-    if (req.user.role === 'teacher' && classroom.teacher.equals(req.user._id)) {
-      req.classroom = classroom;
-      return next();
-    }
-
-    // Student can access classrooms they're enrolled in
-    if (req.user.role === 'student' && classroom.students.includes(req.user._id)) {
+    if (canAccessClassroom(req.user, classroom)) {
       req.classroom = classroom;
       return next();
     }
@@ -140,33 +240,9 @@ const requireClassroomAccess = async (req, res, next) => {
   }
 };
 
-// Rate limiting for sensitive operations
+// Rate limiting for sensitive operations, per user (or per IP before login)
 const rateLimitByUser = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const attempts = new Map();
-  
-  return (req, res, next) => {
-    const userId = req.user?._id?.toString();
-    if (!userId) return next();
-    
-    const now = Date.now();
-    const userAttempts = attempts.get(userId) || [];
-    
-    // Remove old attempts outside the window
-    const validAttempts = userAttempts.filter(time => now - time < windowMs);
-    
-    if (validAttempts.length >= maxAttempts) {
-      return res.status(429).json({
-        message: 'Too many attempts. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil((validAttempts[0] + windowMs - now) / 1000)
-      });
-    }
-    
-    validAttempts.push(now);
-    attempts.set(userId, validAttempts);
-    
-    next();
-  };
+  return createRateLimiter({ max: maxAttempts, windowMs, keyBy: 'user' });
 };
 
 // Optional authentication (doesn't fail if no token)
@@ -176,8 +252,7 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = await getUserFromToken(token);
       if (user && user.isActive && !user.isLocked) {
         req.user = user;
       }
@@ -193,10 +268,15 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireRole,
+  requirePermission,
+  requireAnyPermission,
   requireAdmin,
   requireTeacherOrAdmin,
   requireAnyRole,
   requireClassroomAccess,
   rateLimitByUser,
-  optionalAuth
+  optionalAuth,
+  getUserFromToken,
+  canAccessClassroom,
+  canManageClassroom
 };
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens live this long after their last use
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// One signed-in device. The refresh token is `<session id>.<secret>`;
+// only a hash of the current secret is stored, and it changes on every refresh.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoke_all', 'reuse_detected', 'password_reset'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions a week after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Check if the session can still be used
+authSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+authSessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Start a session for a user; resolves to { session, refreshToken }
+authSessionSchema.statics.start = async function(user, { deviceName, userAgent, ipAddress } = {}) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: user._id,
+    deviceName,
+    userAgent,
+    ipAddress,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: nextExpiry()
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one
+// Resolves to { valid: true, session, refreshToken } or { valid: false, code, reason }
+authSessionSchema.statics.rotate = async function(refreshToken, { ipAddress } = {}) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { valid: false, code: 'INVALID_REFRESH_TOKEN', reason: 'Invalid refresh token' };
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive()) {
+    return { valid: false, code: 'INVALID_REFRESH_TOKEN', reason: 'Invalid refresh token' };
+  }
+
+  const presentedHash = hashSecret(secret);
+  const nextSecret = newSecret();
+
+  // Conditional on the hash so two concurrent refreshes can't both win
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: nextExpiry(),
+        ...(ipAddress ? { ipAddress } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // A superseded token was presented: someone else holds this session's
+    // tokens, so shut the whole session down
+    await this.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+    return { valid: false, code: 'REFRESH_TOKEN_REUSED', reason: 'Refresh token has already been used' };
+  }
+
+  return { valid: true, session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+};
+
+// Revoke every active session of a user, optionally keeping one
+authSessionSchema.statics.revokeAllForUser = function(userId, { reason = 'revoke_all', except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Active sessions of a user, most recently used first
+authSessionSchema.statics.listActive = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
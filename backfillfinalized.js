@@ -0,0 +1,45 @@
+// Prepare sessions created before the scheduler finalized sessions
+// Run with: npm run sessions:backfill-finalized
+//
+// Such sessions have no finalizedAt field, which the scheduler skips.
+// Completed ones are recorded as finalized at their end time, so they never
+// get absences marked against today's roster. Sessions still to come are
+// given finalizedAt: null so the scheduler runs them like new ones. Past
+// sessions that never ran are left alone for a teacher to deal with.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AttendanceSession = require('./models/AttendanceSession');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance-management');
+
+  const now = new Date();
+  const missing = { finalizedAt: { $exists: false } };
+
+  const completed = await AttendanceSession.updateMany(
+    { ...missing, status: { $in: ['completed', 'cancelled'] } },
+    [{ $set: { finalizedAt: '$endTime' } }]
+  );
+  const upcoming = await AttendanceSession.updateMany(
+    { ...missing, status: { $in: ['scheduled', 'active'] }, endTime: { $gt: now } },
+    { $set: { finalizedAt: null } }
+  );
+  const stale = await AttendanceSession.countDocuments({
+    ...missing,
+    status: { $in: ['scheduled', 'active'] },
+    endTime: { $lte: now }
+  });
+
+  console.log(`Completed sessions marked finalized: ${completed.modifiedCount}`);
+  console.log(`Upcoming sessions handed to the scheduler: ${upcoming.modifiedCount}`);
+  console.log(`Past sessions that never ran, left alone: ${stale}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Session backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,202 +1,327 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const { isValidGeofence, geofenceCenter, toGeoPoint } = require('../utils/geofence');
+const { PERMISSIONS, STAFF_TEMPLATES } = require('../utils/permissions');
 
-// Verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    if (!token) {
-      return res.status(401).json({ 
-        message: 'Access token required',
-        code: 'NO_TOKEN'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        message: 'Invalid token - user not found',
-        code: 'INVALID_TOKEN'
-      });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        message: 'Account is deactivated',
-        code: 'ACCOUNT_DEACTIVATED'
-      });
+const classroomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Co-teachers and TAs, each with capabilities in this classroom only
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.keys(STAFF_TEMPLATES),
+      required: true
+    },
+    capabilities: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
     }
-
-    if (user.isLocked) {
-      return res.status(401).json({ 
-        message: 'Account is locked due to multiple failed login attempts',
-        code: 'ACCOUNT_LOCKED'
-      });
+  }],
+  // Owning department; HODs see every classroom of their department
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  location: {
+    name: {
+      type: String,
+      required: true
+    },
+    address: {
+      type: String,
+      required: true
+    },
+    coordinates: {
+      latitude: {
+        type: Number,
+        required: true
+      },
+      longitude: {
+        type: Number,
+        required: true
+      }
+    },
+    radius: {
+      type: Number,
+      default: 100, // meters
+      min: 10,
+      max: 1000
+    },
+    // GeoJSON point mirrored from coordinates for the 2dsphere index
+    center: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    // Optional GeoJSON Polygon/MultiPolygon; the radius circle is used when absent
+    geofence: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon']
+      },
+      coordinates: {
+        type: mongoose.Schema.Types.Mixed,
+        validate: {
+          validator: function(coordinates) {
+            return isValidGeofence({ type: this.location.geofence.type, coordinates });
+          },
+          message: 'Geofence must be closed GeoJSON rings of at least four [lng, lat] positions whose edges do not cross'
+        }
+      }
     }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        message: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
+  },
+  schedule: {
+    days: [{
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+    }],
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    duration: {
+      type: Number, // in minutes
+      default: 60
     }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        message: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
+  },
+  settings: {
+    attendanceWindow: {
+      type: Number,
+      default: 5, // minutes
+      min: 1,
+      max: 30
+    },
+    allowLateAttendance: {
+      type: Boolean,
+      default: false
+    },
+    requireLocation: {
+      type: Boolean,
+      default: true
+    },
+    requireBiometric: {
+      type: Boolean,
+      default: false
+    },
+    autoMarkAbsent: {
+      type: Boolean,
+      default: true
+    },
+    // Default for the classroom's sessions
+    allowOfflineMarking: {
+      type: Boolean,
+      default: false
+    },
+    // How late and excused count towards attendance percentages
+    // (see utils/attendanceWeighting)
+    attendanceWeighting: {
+      lateWeight: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 1
+      },
+      // null leaves excused sessions out of the denominator
+      excusedWeight: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+      }
+    },
+    // Attendance eligibility thresholds in percent; null falls back to the
+    // department policy, then to the defaults (see utils/eligibility)
+    eligibility: {
+      minimumPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+      },
+      warningPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+      }
     }
-    
-    console.error('Auth middleware error:', error);
-    res.status(500).json({ 
-      message: 'Authentication error',
-      code: 'AUTH_ERROR'
-    });
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  qrCode: {
+    type: String,
+    default: null
+  },
+  joinLink: {
+    type: String,
+    default: null
+  },
+  totalSessions: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
-};
-
-// Check if user has required role
-const requireRole = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        message: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
+}, {
+  timestamps: true
+});
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: 'Insufficient permissions',
-        code: 'INSUFFICIENT_PERMISSIONS',
-        required: roles,
-        current: req.user.role
-      });
-    }
+// Indexes for better performance
+classroomSchema.index({ code: 1 });
+classroomSchema.index({ teacher: 1 });
+classroomSchema.index({ students: 1 });
+classroomSchema.index({ 'staff.user': 1 });
+classroomSchema.index({ isActive: 1 });
+classroomSchema.index({ department: 1 });
+classroomSchema.index({ 'location.center': '2dsphere' });
+classroomSchema.index({ 'location.geofence': '2dsphere' }, { sparse: true });
 
-    next();
-  };
+// Generate unique classroom code
+classroomSchema.statics.generateCode = function() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < 6; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
 };
 
-// Check if user is admin
-const requireAdmin = requireRole('admin');
-
-// Check if user is teacher or admin
-const requireTeacherOrAdmin = requireRole('teacher', 'admin');
-
-// Check if user is student, teacher, or admin
-const requireAnyRole = requireRole('student', 'teacher', 'admin');
+// Check if student is enrolled
+classroomSchema.methods.isStudentEnrolled = function(studentId) {
+  return this.students.includes(studentId);
+};
 
-// Check if user can access classroom
-const requireClassroomAccess = async (req, res, next) => {
-  try {
-    const { classroomId } = req.params;
-    const Classroom = require('../models/Classroom');
-    
-    const classroom = await Classroom.findById(classroomId);
-    if (!classroom) {
-      return res.status(404).json({ 
-        message: 'Classroom not found',
-        code: 'CLASSROOM_NOT_FOUND'
-      });
-    }
+// Add student to classroom
+classroomSchema.methods.addStudent = function(studentId) {
+  if (!this.students.includes(studentId)) {
+    this.students.push(studentId);
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
 
-    // Admin can access any classroom
-    if (req.user.role === 'admin') {
-      req.classroom = classroom;
-      return next();
-    }
+// Remove student from classroom
+classroomSchema.methods.removeStudent = function(studentId) {
+  this.students = this.students.filter(id => !id.equals(studentId));
+  return this.save();
+};
 
-    // Teacher can access their own classrooms
-    if (req.user.role === 'teacher' && classroom.teacher.equals(req.user._id)) {
-      req.classroom = classroom;
-      return next();
-    }
+// Find a staff member entry
+classroomSchema.methods.getStaffMember = function(userId) {
+  return this.staff.find(member => member.user.equals(userId)) || null;
+};
 
-    // Student can access classrooms they're enrolled in
-    if (req.user.role === 'student' && classroom.students.includes(req.user._id)) {
-      req.classroom = classroom;
-      return next();
-    }
+// Add or update a staff member; capabilities default to the role's template
+classroomSchema.methods.setStaffMember = function(userId, role, capabilities, addedBy) {
+  const member = this.getStaffMember(userId);
+  const granted = capabilities || STAFF_TEMPLATES[role];
 
-    return res.status(403).json({ 
-      message: 'Access denied to this classroom',
-      code: 'CLASSROOM_ACCESS_DENIED'
-    });
-  } catch (error) {
-    console.error('Classroom access middleware error:', error);
-    res.status(500).json({ 
-      message: 'Error checking classroom access',
-      code: 'CLASSROOM_ACCESS_ERROR'
-    });
+  if (member) {
+    member.role = role;
+    member.capabilities = granted;
+  } else {
+    this.staff.push({ user: userId, role, capabilities: granted, addedBy });
   }
+  return this.save();
 };
 
-// Rate limiting for sensitive operations
-const rateLimitByUser = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const attempts = new Map();
-  
-  return (req, res, next) => {
-    const userId = req.user?._id?.toString();
-    if (!userId) return next();
-    
-    const now = Date.now();
-    const userAttempts = attempts.get(userId) || [];
-    
-    // Remove old attempts outside the window
-    const validAttempts = userAttempts.filter(time => now - time < windowMs);
-    
-    if (validAttempts.length >= maxAttempts) {
-      return res.status(429).json({
-        message: 'Too many attempts. Please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil((validAttempts[0] + windowMs - now) / 1000)
-      });
-    }
-    
-    validAttempts.push(now);
-    attempts.set(userId, validAttempts);
-    
-    next();
+// Remove a staff member
+classroomSchema.methods.removeStaffMember = function(userId) {
+  this.staff = this.staff.filter(member => !member.user.equals(userId));
+  return this.save();
+};
+
+// Get classroom statistics
+classroomSchema.methods.getStats = function() {
+  return {
+    totalStudents: this.students.length,
+    totalStaff: this.staff.length,
+    totalSessions: this.totalSessions,
+    isActive: this.isActive
   };
 };
 
-// Optional authentication (doesn't fail if no token)
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+// Keep the centre point in step with the geofence and coordinates
+classroomSchema.pre('validate', function(next) {
+  const { location } = this;
+  if (location && location.geofence && location.geofence.type &&
+      (!location.coordinates || location.coordinates.latitude == null)) {
+    location.coordinates = geofenceCenter(location.geofence);
+  }
+  if (location && location.coordinates && location.coordinates.latitude != null) {
+    location.center = toGeoPoint(location.coordinates);
+  }
+  next();
+});
 
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.isActive && !user.isLocked) {
-        req.user = user;
-      }
-    }
-    
-    next();
-  } catch (error) {
-    // Ignore auth errors for optional auth
-    next();
+// Update before saving
+classroomSchema.pre('save', async function(next) {
+  this.updatedAt = Date.now();
+
+  // New classrooms belong to their teacher's department unless told otherwise
+  if (this.isNew && !this.department) {
+    const teacher = await mongoose.model('User').findById(this.teacher).select('department');
+    this.department = teacher ? teacher.department : null;
   }
-};
+  next();
+});
 
-module.exports = {
-  authenticateToken,
-  requireRole,
-  requireAdmin,
-  requireTeacherOrAdmin,
-  requireAnyRole,
-  requireClassroomAccess,
-  rateLimitByUser,
-  optionalAuth
-};
+module.exports = mongoose.model('Classroom', classroomSchema);
@@ -0,0 +1,183 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { authenticateToken, requireClassroomAccess, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, STAFF_TEMPLATES } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Validation schemas
+const addStaffSchema = Joi.object({
+  userId: Joi.string().required(),
+  role: Joi.string().valid(...Object.keys(STAFF_TEMPLATES)).required(),
+  capabilities: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().optional()
+});
+
+const updateStaffSchema = Joi.object({
+  role: Joi.string().valid(...Object.keys(STAFF_TEMPLATES)).optional(),
+  capabilities: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().optional()
+}).min(1);
+
+const formatStaff = (classroom) => classroom.staff.map(member => ({
+  user: member.user,
+  role: member.role,
+  capabilities: member.capabilities,
+  addedBy: member.addedBy,
+  addedAt: member.addedAt
+}));
+
+// List classroom staff
+router.get('/:classroomId/staff', authenticateToken, requireClassroomAccess, async (req, res) => {
+  try {
+    await req.classroom.populate('staff.user', 'firstName lastName email teacherId');
+
+    res.json({
+      teacher: req.classroom.teacher,
+      staff: formatStaff(req.classroom)
+    });
+
+  } catch (error) {
+    console.error('Get classroom staff error:', error);
+    res.status(500).json({
+      message: 'Failed to get classroom staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add a co-teacher or TA
+router.post('/:classroomId/staff', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { error, value } = addStaffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+
+    if (!mongoose.Types.ObjectId.isValid(value.userId)) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = await User.findById(value.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.role !== 'teacher') {
+      return res.status(400).json({
+        message: 'Only teacher accounts can be added as classroom staff',
+        code: 'INVALID_STAFF_USER'
+      });
+    }
+
+    if (classroom.teacher.equals(user._id)) {
+      return res.status(400).json({
+        message: 'The classroom teacher is already in charge of this classroom',
+        code: 'ALREADY_TEACHER'
+      });
+    }
+
+    if (classroom.getStaffMember(user._id)) {
+      return res.status(400).json({
+        message: 'User is already on the classroom staff',
+        code: 'ALREADY_STAFF'
+      });
+    }
+
+    await classroom.setStaffMember(user._id, value.role, value.capabilities, req.user._id);
+
+    res.status(201).json({
+      message: 'Staff member added successfully',
+      staff: formatStaff(classroom)
+    });
+
+  } catch (error) {
+    console.error('Add classroom staff error:', error);
+    res.status(500).json({
+      message: 'Failed to add staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Change a staff member's role or capabilities
+router.put('/:classroomId/staff/:userId', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateStaffSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+    const member = mongoose.Types.ObjectId.isValid(req.params.userId) &&
+      classroom.getStaffMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Staff member not found',
+        code: 'STAFF_NOT_FOUND'
+      });
+    }
+
+    // A new role without explicit capabilities resets them to its template
+    const role = value.role || member.role;
+    const capabilities = value.capabilities || (value.role ? undefined : member.capabilities);
+    await classroom.setStaffMember(member.user, role, capabilities);
+
+    res.json({
+      message: 'Staff member updated successfully',
+      staff: formatStaff(classroom)
+    });
+
+  } catch (error) {
+    console.error('Update classroom staff error:', error);
+    res.status(500).json({
+      message: 'Failed to update staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a staff member
+router.delete('/:classroomId/staff/:userId', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const classroom = req.classroom;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId) || !classroom.getStaffMember(req.params.userId)) {
+      return res.status(404).json({
+        message: 'Staff member not found',
+        code: 'STAFF_NOT_FOUND'
+      });
+    }
+
+    await classroom.removeStaffMember(req.params.userId);
+
+    res.json({
+      message: 'Staff member removed successfully',
+      staff: formatStaff(classroom)
+    });
+
+  } catch (error) {
+    console.error('Remove classroom staff error:', error);
+    res.status(500).json({
+      message: 'Failed to remove staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
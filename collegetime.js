@@ -0,0 +1,27 @@
+const moment = require('moment');
+
+// The college's UTC offset (COLLEGE_UTC_OFFSET, e.g. '+05:30'). Timetable
+// times, calendar days, rollups and exports all use it, so they agree with
+// each other whatever timezone the server runs in. ROLLUP_UTC_OFFSET is
+// still honoured for deployments that set it before.
+const getCollegeOffset = () => {
+  const offset = process.env.COLLEGE_UTC_OFFSET || process.env.ROLLUP_UTC_OFFSET || '+00:00';
+  return /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '+00:00';
+};
+
+// A calendar date as midnight in the college offset. The date is taken as
+// written ('2024-03-15', or a Date parsed from it), not as a UTC instant.
+const collegeDay = (date, offset = getCollegeOffset()) => {
+  return moment.utc(date).utcOffset(offset, true).startOf('day');
+};
+
+// A point in time on the college's clock
+const collegeTime = (date, offset = getCollegeOffset()) => {
+  return moment(date).utcOffset(offset);
+};
+
+module.exports = {
+  getCollegeOffset,
+  collegeDay,
+  collegeTime
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const correctionRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    required: true
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null // null when the student has no record for the session
+  },
+  type: {
+    type: String,
+    enum: ['dispute', 'excuse'],
+    required: true
+  },
+  currentStatus: {
+    type: String,
+    enum: ['present', 'absent', 'late', 'excused'],
+    default: null
+  },
+  requestedStatus: {
+    type: String,
+    enum: ['present', 'late', 'excused'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  evidence: [{
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    path: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'escalated', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+  escalationReason: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+correctionRequestSchema.index({ student: 1, createdAt: -1 });
+correctionRequestSchema.index({ classroom: 1, status: 1 });
+correctionRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Only one open request per student per session
+correctionRequestSchema.index(
+  { student: 1, session: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'escalated'] } } }
+);
+
+// Check if the request is still awaiting a decision
+correctionRequestSchema.methods.isOpen = function() {
+  return this.status === 'pending' || this.status === 'escalated';
+};
+
+// Escalate to an admin
+correctionRequestSchema.methods.escalate = function(reason) {
+  this.status = 'escalated';
+  this.escalatedAt = new Date();
+  this.escalationReason = reason || null;
+  return this.save();
+};
+
+// Apply an approval to the attendance record and refresh the session statistics
+// Returns the updated (or newly created) Attendance document
+correctionRequestSchema.methods.approve = async function(reviewer, note, ipAddress) {
+  const Attendance = mongoose.model('Attendance');
+  const AttendanceSession = mongoose.model('AttendanceSession');
+
+  const session = await AttendanceSession.findById(this.session);
+  const editReason = `Correction request ${this._id}: ${note || this.reason}`;
+
+  let attendance = this.attendance
+    ? await Attendance.findById(this.attendance)
+    : await Attendance.findOne({ session: this.session, student: this.student });
+
+  if (attendance) {
+    attendance.status = this.requestedStatus;
+    attendance.isEdited = true;
+    attendance.editedBy = reviewer._id;
+    attendance.editedAt = new Date();
+    attendance.editReason = editReason;
+  } else {
+    attendance = new Attendance({
+      classroom: this.classroom,
+      student: this.student,
+      teacher: session.teacher,
+      session: this.session,
+      status: this.requestedStatus,
+      verification: { method: 'manual' },
+      markedBy: reviewer.role === 'admin' ? 'admin' : 'teacher',
+      notes: editReason
+    });
+  }
+
+  attendance.setAuditContext({ actor: reviewer, reason: editReason, ipAddress });
+  await attendance.save();
+
+  if (!session.attendance.some(id => id.equals(attendance._id))) {
+    session.attendance.push(attendance._id);
+  }
+  await session.updateStatistics();
+
+  this.attendance = attendance._id;
+  this.status = 'approved';
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = new Date();
+  this.reviewNote = note || null;
+  await this.save();
+
+  return attendance;
+};
+
+// Reject the request
+correctionRequestSchema.methods.reject = function(reviewer, note) {
+  this.status = 'rejected';
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = new Date();
+  this.reviewNote = note || null;
+  return this.save();
+};
+
+module.exports = mongoose.model('CorrectionRequest', correctionRequestSchema);
@@ -0,0 +1,472 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const Attendance = require('../models/Attendance');
+const CorrectionRequest = require('../models/CorrectionRequest');
+const { authenticateToken } = require('../middleware/auth');
+const { getPermissionScope, hasClassroomPermission, classroomFilterFor } = require('../utils/permissions');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Evidence uploads (medical certificates and the like)
+const EVIDENCE_DIR = process.env.EVIDENCE_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'evidence');
+const ALLOWED_EVIDENCE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+fs.mkdirSync(EVIDENCE_DIR, { recursive: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: EVIDENCE_DIR,
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 3
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_EVIDENCE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Run the multer upload and turn its errors into 400 responses
+const uploadEvidence = (req, res, next) => {
+  upload.array('evidence', 3)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: 'Evidence must be up to 3 PDF, JPEG or PNG files of at most 5MB each',
+        code: 'INVALID_EVIDENCE'
+      });
+    }
+    next(error);
+  });
+};
+
+// Remove uploaded files when the request is refused
+const discardUploads = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Validation schemas
+const createRequestSchema = Joi.object({
+  sessionId: Joi.string().required(),
+  type: Joi.string().valid('dispute', 'excuse').required(),
+  requestedStatus: Joi.string().valid('present', 'late', 'excused').required(),
+  reason: Joi.string().min(10).max(1000).required()
+});
+
+const decisionSchema = Joi.object({
+  decision: Joi.string().valid('approve', 'reject').required(),
+  note: Joi.string().max(1000).optional()
+});
+
+const escalateSchema = Joi.object({
+  reason: Joi.string().max(1000).optional()
+});
+
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'escalated', 'approved', 'rejected').optional(),
+  classroomId: Joi.string().hex().length(24).optional()
+});
+
+// Can the user decide this request? College-wide reviewers (admins) always;
+// reviewers reaching the classroom (its teacher, the HOD) unless escalated
+const canDecide = (user, request, classroom) => {
+  if (getPermissionScope(user, 'corrections:review') === 'all') return true;
+  return request.status === 'pending' && hasClassroomPermission(user, 'corrections:review', classroom);
+};
+
+// Can the user see this request?
+const canView = (user, request, classroom) => {
+  return request.student.equals(user._id) ||
+    hasClassroomPermission(user, 'corrections:review', classroom);
+};
+
+const formatRequest = (request) => ({
+  id: request._id,
+  student: request.student,
+  classroom: request.classroom,
+  session: request.session,
+  attendance: request.attendance,
+  type: request.type,
+  currentStatus: request.currentStatus,
+  requestedStatus: request.requestedStatus,
+  reason: request.reason,
+  evidence: request.evidence.map(file => ({
+    id: file._id,
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploadedAt: file.uploadedAt
+  })),
+  status: request.status,
+  escalatedAt: request.escalatedAt,
+  escalationReason: request.escalationReason,
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  reviewNote: request.reviewNote,
+  createdAt: request.createdAt
+});
+
+const notifyStudent = (request) => {
+  io.to(`user-${request.student._id || request.student}`).emit('correction-request-updated', {
+    requestId: request._id,
+    sessionId: request.session,
+    status: request.status,
+    requestedStatus: request.requestedStatus,
+    reviewNote: request.reviewNote
+  });
+};
+
+// File a correction or excuse request
+router.post('/', authenticateToken, uploadEvidence, async (req, res) => {
+  try {
+    const { error, value } = createRequestSchema.validate(req.body);
+    if (error) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (req.user.role !== 'student') {
+      discardUploads(req.files);
+      return res.status(403).json({
+        message: 'Only students can file correction requests',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const session = mongoose.Types.ObjectId.isValid(value.sessionId)
+      ? await AttendanceSession.findById(value.sessionId)
+      : null;
+    if (!session) {
+      discardUploads(req.files);
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom.students.includes(req.user._id)) {
+      discardUploads(req.files);
+      return res.status(403).json({
+        message: 'You are not enrolled in this classroom',
+        code: 'NOT_ENROLLED'
+      });
+    }
+
+    const attendance = await Attendance.findOne({ session: session._id, student: req.user._id });
+    if (attendance && attendance.status === value.requestedStatus) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        message: `Attendance is already marked as ${attendance.status}`,
+        code: 'NOTHING_TO_CORRECT'
+      });
+    }
+
+    const existing = await CorrectionRequest.findOne({
+      student: req.user._id,
+      session: session._id,
+      status: { $in: ['pending', 'escalated'] }
+    });
+    if (existing) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        message: 'You already have an open request for this session',
+        code: 'REQUEST_ALREADY_OPEN'
+      });
+    }
+
+    const request = await CorrectionRequest.create({
+      student: req.user._id,
+      classroom: classroom._id,
+      session: session._id,
+      attendance: attendance ? attendance._id : null,
+      type: value.type,
+      currentStatus: attendance ? attendance.status : null,
+      requestedStatus: value.requestedStatus,
+      reason: value.reason,
+      evidence: (req.files || []).map(file => ({
+        filename: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        path: file.path
+      }))
+    });
+
+    // Notify the teacher and any staff who review corrections
+    const reviewers = [
+      classroom.teacher,
+      ...classroom.staff
+        .filter(member => member.capabilities.includes('corrections:review'))
+        .map(member => member.user)
+    ];
+    reviewers.forEach(reviewerId => {
+      io.to(`user-${reviewerId}`).emit('correction-request-filed', {
+        requestId: request._id,
+        sessionId: session._id,
+        studentId: req.user._id,
+        studentName: req.user.fullName,
+        type: request.type,
+        requestedStatus: request.requestedStatus
+      });
+    });
+
+    res.status(201).json({
+      message: 'Correction request filed successfully',
+      request: formatRequest(request)
+    });
+
+  } catch (error) {
+    discardUploads(req.files);
+    console.error('Create correction request error:', error);
+    res.status(500).json({
+      message: 'Failed to file correction request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List correction requests visible to the current user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { page, limit, status, classroomId } = value;
+    const query = {};
+
+    const classroomFilter = classroomFilterFor(req.user, 'corrections:review');
+    if (!classroomFilter) {
+      query.student = req.user._id;
+    } else if (Object.keys(classroomFilter).length > 0) {
+      const classrooms = await Classroom.find(classroomFilter).distinct('_id');
+      query.classroom = { $in: classrooms };
+    }
+
+    if (classroomId) {
+      query.classroom = query.classroom
+        ? { $in: query.classroom.$in.filter(id => id.equals(classroomId)) }
+        : classroomId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const requests = await CorrectionRequest.find(query)
+      .populate('student', 'firstName lastName email studentId')
+      .populate('session', 'title scheduledDate')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await CorrectionRequest.countDocuments(query);
+
+    res.json({
+      requests: requests.map(formatRequest),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get correction requests error:', error);
+    res.status(500).json({
+      message: 'Failed to get correction requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download a piece of evidence
+router.get('/:requestId/evidence/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const request = await CorrectionRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        message: 'Correction request not found',
+        code: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    const classroom = await Classroom.findById(request.classroom);
+    if (!canView(req.user, request, classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this request',
+        code: 'REQUEST_ACCESS_DENIED'
+      });
+    }
+
+    const file = request.evidence.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        message: 'Evidence not found',
+        code: 'EVIDENCE_NOT_FOUND'
+      });
+    }
+
+    res.type(file.mimeType);
+    res.download(file.path, file.originalName);
+
+  } catch (error) {
+    console.error('Download evidence error:', error);
+    res.status(500).json({
+      message: 'Failed to download evidence',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Escalate a pending request to the admins
+router.post('/:requestId/escalate', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = escalateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const request = await CorrectionRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        message: 'Correction request not found',
+        code: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    const classroom = await Classroom.findById(request.classroom);
+    if (req.user.role === 'admin' || !canView(req.user, request, classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this request',
+        code: 'REQUEST_ACCESS_DENIED'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        message: 'Only pending requests can be escalated',
+        code: 'INVALID_REQUEST_STATUS'
+      });
+    }
+
+    await request.escalate(value.reason);
+    notifyStudent(request);
+
+    res.json({
+      message: 'Correction request escalated',
+      request: formatRequest(request)
+    });
+
+  } catch (error) {
+    console.error('Escalate correction request error:', error);
+    res.status(500).json({
+      message: 'Failed to escalate correction request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Approve or reject a request
+router.post('/:requestId/decision', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const request = await CorrectionRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        message: 'Correction request not found',
+        code: 'REQUEST_NOT_FOUND'
+      });
+    }
+
+    if (!request.isOpen()) {
+      return res.status(400).json({
+        message: 'Correction request has already been decided',
+        code: 'INVALID_REQUEST_STATUS'
+      });
+    }
+
+    const classroom = await Classroom.findById(request.classroom);
+    if (!canDecide(req.user, request, classroom)) {
+      return res.status(403).json({
+        message: request.status === 'escalated'
+          ? 'Escalated requests can only be decided by an admin'
+          : 'Access denied to this request',
+        code: 'REQUEST_ACCESS_DENIED'
+      });
+    }
+
+    let attendance = null;
+    if (value.decision === 'approve') {
+      attendance = await request.approve(req.user, value.note, req.ip);
+
+      io.to(`classroom-${classroom._id}`).emit('attendance-update', {
+        studentId: request.student,
+        status: attendance.status,
+        markedAt: attendance.markedAt,
+        sessionId: request.session
+      });
+    } else {
+      await request.reject(req.user, value.note);
+    }
+
+    notifyStudent(request);
+
+    res.json({
+      message: value.decision === 'approve' ? 'Correction request approved' : 'Correction request rejected',
+      request: formatRequest(request),
+      attendance: attendance && {
+        id: attendance._id,
+        status: attendance.status,
+        isEdited: attendance.isEdited,
+        editedBy: attendance.editedBy,
+        editedAt: attendance.editedAt,
+        editReason: attendance.editReason
+      }
+    });
+
+  } catch (error) {
+    console.error('Decide correction request error:', error);
+    res.status(500).json({
+      message: 'Failed to decide correction request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// Minimal RFC 4180 CSV support: quoted fields, doubled quotes, embedded
+// commas and newlines, CRLF line endings and a UTF-8 BOM.
+
+// Parse CSV text into an array of rows (arrays of strings); blank lines are dropped
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header names
+const parseCsvRecords = (text, { normalizeHeader = header => header.trim() } = {}) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(normalizeHeader);
+
+  return rows.map(row => keys.reduce((record, key, index) => {
+    record[key] = (row[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+// Text a spreadsheet would run as a formula (=, +, -, @, tab or CR first)
+// gets a leading ' so it is shown as typed. Only applies to strings, so
+// negative numbers stay numbers.
+const neutralizeFormula = (value) => {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+// Quote a value for CSV output when it needs it
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (without the line break) from a row of values
+const toCsvLine = (row) => row.map(escapeCsvValue).join(',');
+
+// Build CSV text from a header and rows of values
+const toCsv = (header, rows) => {
+  return [header, ...rows].map(toCsvLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  neutralizeFormula,
+  escapeCsvValue,
+  toCsvLine,
+  toCsv
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Active keys a student may hold at once
+const MAX_DEVICE_KEYS = parseInt(process.env.MAX_DEVICE_KEYS, 10) || 3;
+
+// A public key a student's device registered while online. The device keeps
+// the private key and signs attendance it captures offline with it
+// (see utils/offlineMark).
+const deviceKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fingerprint of the public key, sent with each signed submission
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SPKI PEM of an ECDSA P-256 key
+  publicKey: {
+    type: String,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['ES256'],
+    default: 'ES256'
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'password_reset'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+deviceKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Parse a JWK or PEM public key into its SPKI PEM and key id.
+// Returns { publicKey, keyId }, or { error } for keys that aren't P-256.
+deviceKeySchema.statics.parsePublicKey = function(input) {
+  let key;
+  try {
+    key = typeof input === 'string'
+      ? crypto.createPublicKey(input)
+      : crypto.createPublicKey({ key: input, format: 'jwk' });
+  } catch (error) {
+    return { error: 'Public key could not be parsed' };
+  }
+
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    return { error: 'Public key must be an ECDSA P-256 key' };
+  }
+
+  const der = key.export({ type: 'spki', format: 'der' });
+  return {
+    publicKey: key.export({ type: 'spki', format: 'pem' }),
+    keyId: crypto.createHash('sha256').update(der).digest('base64url').slice(0, 22)
+  };
+};
+
+// Check if the key can still be used
+deviceKeySchema.methods.isActive = function() {
+  return !this.revokedAt;
+};
+
+// Revoke this key
+deviceKeySchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active key of a user
+deviceKeySchema.statics.revokeAllForUser = function(userId, { reason = 'revoked' } = {}) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Active keys of a user, newest first
+deviceKeySchema.statics.listActive = function(userId) {
+  return this.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+};
+
+deviceKeySchema.statics.MAX_DEVICE_KEYS = MAX_DEVICE_KEYS;
+
+module.exports = mongoose.model('DeviceKey', deviceKeySchema);
@@ -0,0 +1,224 @@
+const Attendance = require('../models/Attendance');
+const AttendanceRollup = require('../models/AttendanceRollup');
+const AttendanceStanding = require('../models/AttendanceStanding');
+const EligibilityPolicy = require('../models/EligibilityPolicy');
+const User = require('../models/User');
+const { sendTemplate } = require('./mailer');
+const { DEFAULT_WEIGHTING, resolveWeighting, weighCounts, toPercentage } = require('./attendanceWeighting');
+const { rollupsReady } = require('./attendanceRollups');
+
+// Thresholds used when neither the classroom nor its department sets one
+const getDefaultThresholds = () => ({
+  minimumPercentage: parseFloat(process.env.ELIGIBILITY_MINIMUM_PERCENTAGE) || 75,
+  warningPercentage: parseFloat(process.env.ELIGIBILITY_WARNING_PERCENTAGE) || 80
+});
+
+// Effective thresholds for a classroom: classroom setting, then department
+// policy, then the defaults, each threshold resolved on its own
+const resolveThresholds = async (classroom) => {
+  const defaults = getDefaultThresholds();
+  const policy = classroom.department
+    ? await EligibilityPolicy.findOne({ department: classroom.department })
+    : null;
+  const own = (classroom.settings && classroom.settings.eligibility) || {};
+
+  const pick = (field) => {
+    if (own[field] !== null && own[field] !== undefined) return { value: own[field], source: 'classroom' };
+    if (policy) return { value: policy[field], source: 'department' };
+    return { value: defaults[field], source: 'default' };
+  };
+
+  const minimum = pick('minimumPercentage');
+  const warning = pick('warningPercentage');
+
+  return {
+    minimumPercentage: minimum.value,
+    // A warning below the minimum would never fire
+    warningPercentage: Math.max(warning.value, minimum.value),
+    sources: { minimumPercentage: minimum.source, warningPercentage: warning.source }
+  };
+};
+
+// Small tolerance so 15/20 at 75% isn't pushed over by float rounding
+const EPSILON = 1e-9;
+
+// Consecutive classes needed to reach the minimum; null if unreachable
+const classesNeeded = (attended, total, minimumPercentage) => {
+  const ratio = minimumPercentage / 100;
+  if (total === 0 || attended >= ratio * total - EPSILON) return 0;
+  if (ratio >= 1) return null;
+  return Math.ceil((ratio * total - attended) / (1 - ratio) - EPSILON);
+};
+
+// Classes that can be missed while staying at or above the minimum;
+// null when there is no limit
+const classesCanMiss = (attended, total, minimumPercentage) => {
+  const ratio = minimumPercentage / 100;
+  if (ratio <= 0) return null;
+  if (attended < ratio * total - EPSILON) return 0;
+  return Math.max(0, Math.floor(attended / ratio - total + EPSILON));
+};
+
+// Standing for attendance counts under the given thresholds, weighing
+// late and excused records by the classroom's attendance weighting
+const computeStanding = (counts, { minimumPercentage, warningPercentage }, weighting = DEFAULT_WEIGHTING) => {
+  const { attended, countable: total } = weighCounts(counts, weighting);
+  const percentage = toPercentage(attended, total);
+
+  let status = 'eligible';
+  if (percentage !== null && percentage < minimumPercentage) {
+    status = 'shortage';
+  } else if (percentage !== null && percentage < warningPercentage) {
+    status = 'warning';
+  }
+
+  return {
+    attended,
+    total,
+    percentage,
+    status,
+    classesNeeded: classesNeeded(attended, total, minimumPercentage),
+    classesCanMiss: classesCanMiss(attended, total, minimumPercentage)
+  };
+};
+
+// Per-student attendance counts for a classroom, from the rollups once they
+// have been rebuilt
+const countByStudent = async (classroomId) => {
+  if (!(await rollupsReady())) {
+    const rows = await Attendance.aggregate([
+      { $match: { classroom: classroomId } },
+      {
+        $group: {
+          _id: '$student',
+          present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+          late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+          absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+          excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  const rollups = await AttendanceRollup.find({ kind: 'student_classroom', classroom: classroomId }).lean();
+  return new Map(rollups.map(rollup => [rollup.student.toString(), rollup.counts]));
+};
+
+// Recompute the standing of every enrolled student in a classroom.
+// Resolves to the students whose status got worse than what they were last
+// alerted about: [{ standing, previousStatus }]. Claiming each alert is a
+// conditional update, so concurrent recomputes alert once.
+const updateClassroomStandings = async (classroom, { sessionId = null } = {}) => {
+  const thresholds = await resolveThresholds(classroom);
+  const weighting = resolveWeighting(classroom);
+  const counts = await countByStudent(classroom._id);
+  const now = new Date();
+  const crossings = [];
+
+  for (const studentId of classroom.students) {
+    const standing = computeStanding(counts.get(studentId.toString()) || {}, thresholds, weighting);
+
+    const saved = await AttendanceStanding.findOneAndUpdate(
+      { student: studentId, classroom: classroom._id },
+      {
+        $set: {
+          ...standing,
+          minimumPercentage: thresholds.minimumPercentage,
+          warningPercentage: thresholds.warningPercentage,
+          lastSession: sessionId,
+          computedAt: now
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const previousStatus = saved.alertedStatus;
+    const change = AttendanceStanding.severity(saved.status) - AttendanceStanding.severity(previousStatus);
+    if (change === 0) continue;
+
+    const claimed = await AttendanceStanding.updateOne(
+      { _id: saved._id, alertedStatus: previousStatus },
+      { $set: change > 0 ? { alertedStatus: saved.status, alertedAt: now } : { alertedStatus: saved.status } }
+    );
+
+    if (change > 0 && claimed.modifiedCount > 0) {
+      crossings.push({ standing: saved, previousStatus });
+    }
+  }
+
+  return crossings;
+};
+
+// Alert students who crossed a threshold (socket event and email) and send
+// the classroom's teachers one digest
+const notifyStandingChanges = async (io, classroom, crossings, { teacherIds = [] } = {}) => {
+  if (crossings.length === 0) return;
+
+  const students = await User.find({ _id: { $in: crossings.map(({ standing }) => standing.student) } })
+    .select('firstName lastName email studentId');
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+
+  const entries = [];
+  for (const { standing, previousStatus } of crossings) {
+    const student = studentsById.get(standing.student.toString());
+    if (!student) continue;
+
+    const alert = {
+      classroomId: classroom._id,
+      classroomName: classroom.name,
+      status: standing.status,
+      previousStatus,
+      percentage: standing.percentage,
+      minimumPercentage: standing.minimumPercentage,
+      warningPercentage: standing.warningPercentage,
+      classesNeeded: standing.classesNeeded,
+      classesCanMiss: standing.classesCanMiss
+    };
+    entries.push({ student, ...alert });
+
+    io.to(`user-${student._id}`).emit('attendance-standing', alert);
+
+    try {
+      await sendTemplate('attendance-standing', student.email, { user: student, classroom, ...alert });
+    } catch (emailError) {
+      console.error('Attendance standing email error:', emailError);
+    }
+  }
+
+  if (entries.length === 0) return;
+
+  const recipients = new Set([classroom.teacher.toString(), ...teacherIds.map(id => id.toString())]);
+  const teachers = await User.find({ _id: { $in: [...recipients] } }).select('firstName lastName email');
+
+  for (const teacher of teachers) {
+    io.to(`user-${teacher._id}`).emit('eligibility-digest', {
+      classroomId: classroom._id,
+      classroomName: classroom.name,
+      students: entries.map(entry => ({
+        studentId: entry.student._id,
+        name: entry.student.fullName,
+        status: entry.status,
+        percentage: entry.percentage,
+        classesNeeded: entry.classesNeeded
+      }))
+    });
+
+    try {
+      await sendTemplate('eligibility-digest', teacher.email, { user: teacher, classroom, entries });
+    } catch (emailError) {
+      console.error('Eligibility digest email error:', emailError);
+    }
+  }
+};
+
+module.exports = {
+  getDefaultThresholds,
+  resolveThresholds,
+  classesNeeded,
+  classesCanMiss,
+  computeStanding,
+  countByStudent,
+  updateClassroomStandings,
+  notifyStandingChanges
+};
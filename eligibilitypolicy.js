@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Department-wide attendance eligibility thresholds, in percent.
+// Classrooms may override them in settings.eligibility.
+const eligibilityPolicySchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  minimumPercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  warningPercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EligibilityPolicy', eligibilityPolicySchema);
@@ -0,0 +1,139 @@
+// Email templates. Each takes the data passed to sendTemplate and returns
+// { subject, html, text }. registerTemplate overrides or adds one.
+
+const layout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #333;">${title}</h2>
+    ${body}
+  </div>
+`;
+
+const codeBlock = (code) => `<h1 style="color: #007bff; font-size: 32px; letter-spacing: 5px;">${code}</h1>`;
+
+const minutesUntil = (date) => Math.max(1, Math.round((date.getTime() - Date.now()) / 60000));
+
+const templates = {
+  'verify-email': ({ user, code, expiresAt }) => ({
+    subject: 'Email Verification - Attendance Management System',
+    html: layout('Email Verification', `
+      <p>Hi ${user.firstName}, your verification code is:</p>
+      ${codeBlock(code)}
+      <p>This code will expire in ${minutesUntil(expiresAt)} minutes.</p>
+      <p>If you didn't request this verification, please ignore this email.</p>
+    `),
+    text: `Your verification code is ${code}. It expires in ${minutesUntil(expiresAt)} minutes.`
+  }),
+
+  'password-reset': ({ user, code, expiresAt }) => ({
+    subject: 'Password Reset - Attendance Management System',
+    html: layout('Password Reset', `
+      <p>Hi ${user.firstName}, use this code to reset your password:</p>
+      ${codeBlock(code)}
+      <p>This code will expire in ${minutesUntil(expiresAt)} minutes.</p>
+      <p>If you didn't ask to reset your password, you can ignore this email.</p>
+    `),
+    text: `Your password reset code is ${code}. It expires in ${minutesUntil(expiresAt)} minutes.`
+  }),
+
+  'password-changed': ({ user }) => ({
+    subject: 'Your password was changed',
+    html: layout('Password Changed', `
+      <p>Hi ${user.firstName}, your password was just reset and every device was signed out.</p>
+      <p>If this wasn't you, contact an administrator immediately.</p>
+    `),
+    text: 'Your password was just reset and every device was signed out. If this wasn\'t you, contact an administrator immediately.'
+  }),
+
+  'roster-welcome': ({ user, code }) => ({
+    subject: 'Your Attendance Management account',
+    html: layout(`Welcome, ${user.firstName}`, `
+      <p>An account has been created for you. Verify your email with this code:</p>
+      ${codeBlock(code)}
+      <p>The code expires in 7 days. After verifying, use "Forgot password" to choose your password.</p>
+    `),
+    text: `An account has been created for you. Your verification code is ${code} and expires in 7 days. After verifying, use "Forgot password" to choose your password.`
+  }),
+
+  'account-locked': ({ user, lockUntil }) => ({
+    subject: 'Your account has been locked',
+    html: layout('Account Locked', `
+      <p>Hi ${user.firstName},</p>
+      <p>Your account was locked after several failed sign-in attempts.</p>
+      <p>You can try again after <strong>${lockUntil.toLocaleString()}</strong>, or ask an administrator to unlock it.</p>
+      <p>If this wasn't you, please change your password once you can sign in.</p>
+    `),
+    text: `Your account was locked after several failed sign-in attempts. You can try again after ${lockUntil.toLocaleString()}, or ask an administrator to unlock it.`
+  }),
+
+  'account-unlocked': ({ user }) => ({
+    subject: 'Your account has been unlocked',
+    html: layout('Account Unlocked', `
+      <p>Hi ${user.firstName},</p>
+      <p>An administrator has unlocked your account. You can sign in again.</p>
+    `),
+    text: 'An administrator has unlocked your account. You can sign in again.'
+  }),
+
+  'attendance-otp': ({ code, session, expiresAt }) => ({
+    subject: 'Attendance Verification Code',
+    html: layout('Attendance Verification Code', `
+      <p>Your code for <strong>${session.title}</strong> is:</p>
+      ${codeBlock(code)}
+      <p>This code expires at ${expiresAt.toLocaleTimeString()}.</p>
+    `),
+    text: `Your attendance code for ${session.title} is ${code}. It expires at ${expiresAt.toLocaleTimeString()}.`
+  }),
+
+  'attendance-standing': ({ user, classroom, status, percentage, minimumPercentage, classesNeeded }) => {
+    const advice = status === 'shortage'
+      ? (classesNeeded === null
+        ? 'You can no longer reach the minimum this term. Please speak to your teacher.'
+        : `Attend the next ${classesNeeded} classes in a row to get back to ${minimumPercentage}%.`)
+      : `You are close to the ${minimumPercentage}% minimum required to sit the exams.`;
+    const heading = status === 'shortage' ? 'Attendance Shortage' : 'Attendance Warning';
+
+    return {
+      subject: `${heading}: ${classroom.name}`,
+      html: layout(heading, `
+        <p>Hi ${user.firstName},</p>
+        <p>Your attendance in <strong>${classroom.name}</strong> is now <strong>${percentage}%</strong>.</p>
+        <p>${advice}</p>
+      `),
+      text: `Your attendance in ${classroom.name} is now ${percentage}%. ${advice}`
+    };
+  },
+
+  'eligibility-digest': ({ user, classroom, entries }) => {
+    const line = (entry) => `${entry.student.fullName} (${entry.student.studentId || entry.student.email}): ` +
+      `${entry.percentage}%, ${entry.status}`;
+
+    return {
+      subject: `Attendance alerts: ${classroom.name}`,
+      html: layout(`Attendance Alerts - ${classroom.name}`, `
+        <p>Hi ${user.firstName}, these students just crossed an attendance threshold:</p>
+        <ul>${entries.map(entry => `<li>${line(entry)}</li>`).join('')}</ul>
+      `),
+      text: `These students in ${classroom.name} just crossed an attendance threshold:\n` +
+        entries.map(line).join('\n')
+    };
+  }
+};
+
+// Add or replace a template
+const registerTemplate = (name, render) => {
+  templates[name] = render;
+};
+
+// Render a template by name
+const renderTemplate = (name, data) => {
+  const render = templates[name];
+  if (!render) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return render(data);
+};
+
+module.exports = {
+  registerTemplate,
+  renderTemplate
+};
@@ -0,0 +1,269 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const User = require('../models/User');
+const { authenticateToken, rateLimitByUser } = require('../middleware/auth');
+const { describeFace, matchScore } = require('../utils/faceVerification');
+const { recordSelfMark, formatMarkResponse } = require('../utils/markAttendance');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Selfies are kept in memory only; just the descriptor is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!['image/jpeg', 'image/png'].includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Run the multer upload and turn its errors into 400 responses
+const uploadSelfie = (req, res, next) => {
+  upload.single('selfie')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: 'Selfie must be a single JPEG or PNG image of at most 5MB',
+        code: 'INVALID_IMAGE'
+      });
+    }
+    if (!error && !req.file) {
+      return res.status(400).json({
+        message: 'A selfie image is required',
+        code: 'SELFIE_REQUIRED'
+      });
+    }
+    next(error);
+  });
+};
+
+// Validation schemas (multipart fields arrive flat)
+const markSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  accuracy: Joi.number().min(0).optional(),
+  address: Joi.string().optional(),
+  mocked: Joi.boolean().optional(),
+  provider: Joi.string().max(50).optional(),
+  notes: Joi.string().max(500).optional()
+}).and('latitude', 'longitude');
+
+// Admins may enroll anyone; teachers only students in their classrooms;
+// students only themselves, and only once
+const canEnroll = async (user, student) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'teacher') {
+    return !!(await Classroom.exists({ teacher: user._id, students: student._id }));
+  }
+  return user._id.equals(student._id) && !student.faceEnrolledAt;
+};
+
+// Enroll (or re-enroll) a student's face
+router.post('/enroll/:studentId', authenticateToken, rateLimitByUser(5, 60 * 1000), uploadSelfie, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(404).json({
+        message: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({
+        message: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+
+    if (!(await canEnroll(req.user, student))) {
+      return res.status(403).json({
+        message: 'You cannot enroll a face for this student',
+        code: 'FACE_ENROLLMENT_DENIED'
+      });
+    }
+
+    const face = await describeFace(req.file.buffer);
+    if (!face.valid) {
+      return res.status(400).json({
+        message: face.reason,
+        code: face.code
+      });
+    }
+
+    student.faceDescriptor = face.descriptor;
+    student.faceEnrolledAt = new Date();
+    student.biometricEnabled = true;
+    await student.save();
+
+    res.status(201).json({
+      message: 'Face enrolled successfully',
+      studentId: student._id,
+      enrolledAt: student.faceEnrolledAt
+    });
+
+  } catch (error) {
+    console.error('Face enrollment error:', error);
+    res.status(500).json({
+      message: 'Failed to enroll face',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a student's enrolled face
+router.delete('/enroll/:studentId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(404).json({
+        message: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({
+        message: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+
+    if (req.user.role === 'student' || !(await canEnroll(req.user, student))) {
+      return res.status(403).json({
+        message: 'You cannot remove the face enrollment for this student',
+        code: 'FACE_ENROLLMENT_DENIED'
+      });
+    }
+
+    student.faceDescriptor = undefined;
+    student.faceEnrolledAt = null;
+    student.biometricEnabled = false;
+    await student.save();
+
+    res.json({ message: 'Face enrollment removed' });
+
+  } catch (error) {
+    console.error('Remove face enrollment error:', error);
+    res.status(500).json({
+      message: 'Failed to remove face enrollment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark attendance with a selfie checked against the enrolled face
+router.post('/sessions/:sessionId/mark', authenticateToken, rateLimitByUser(5, 60 * 1000), uploadSelfie, async (req, res) => {
+  try {
+    const { error, value } = markSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        message: 'Only students can mark attendance',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const session = await AttendanceSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (!session.isAttendanceWindowOpen()) {
+      return res.status(400).json({
+        message: 'Attendance window is closed',
+        code: 'ATTENDANCE_WINDOW_CLOSED'
+      });
+    }
+
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom.students.includes(req.user._id)) {
+      return res.status(403).json({
+        message: 'You are not enrolled in this classroom',
+        code: 'NOT_ENROLLED'
+      });
+    }
+
+    const student = await User.findById(req.user._id).select('+faceDescriptor');
+    if (!student.faceDescriptor || student.faceDescriptor.length === 0) {
+      return res.status(400).json({
+        message: 'No face enrolled for your account',
+        code: 'FACE_NOT_ENROLLED'
+      });
+    }
+
+    const face = await describeFace(req.file.buffer);
+    if (!face.valid) {
+      return res.status(400).json({
+        message: face.reason,
+        code: face.code
+      });
+    }
+
+    const faceMatch = matchScore(student.faceDescriptor, face.descriptor);
+    const biometricVerified = faceMatch >= session.settings.faceMatchThreshold;
+
+    if (session.settings.requireBiometric && !biometricVerified) {
+      return res.status(400).json({
+        message: 'Face did not match the enrolled face',
+        code: 'FACE_MISMATCH',
+        faceMatch
+      });
+    }
+
+    const location = value.latitude !== undefined ? {
+      latitude: value.latitude,
+      longitude: value.longitude,
+      accuracy: value.accuracy,
+      address: value.address,
+      mocked: value.mocked,
+      provider: value.provider
+    } : undefined;
+
+    const { attendance, error: markError } = await recordSelfMark({
+      req,
+      io,
+      session,
+      location,
+      notes: value.notes,
+      verification: {
+        method: 'biometric',
+        biometricVerified,
+        faceMatch
+      }
+    });
+
+    if (markError) {
+      return res.status(markError.status).json(markError.body);
+    }
+
+    res.json(formatMarkResponse(attendance));
+
+  } catch (error) {
+    console.error('Face mark attendance error:', error);
+    res.status(500).json({
+      message: 'Failed to mark attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const path = require('path');
+const sharp = require('sharp');
+const faceapi = require('face-api.js');
+
+// Directory holding the face-api.js model weights (ssd_mobilenetv1,
+// face_landmark_68 and face_recognition manifests and shards)
+const MODELS_PATH = process.env.FACE_MODELS_PATH || path.join(__dirname, '..', 'face-models');
+
+// Selfies are scaled down before detection; descriptors don't need more
+const MAX_IMAGE_SIZE = 640;
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+let modelsLoading = null;
+
+// Load the detection, landmark and recognition nets once
+const loadModels = () => {
+  if (!modelsLoading) {
+    modelsLoading = Promise.all([
+      faceapi.nets.ssdMobilenetv1.loadFromDisk(MODELS_PATH),
+      faceapi.nets.faceLandmark68Net.loadFromDisk(MODELS_PATH),
+      faceapi.nets.faceRecognitionNet.loadFromDisk(MODELS_PATH)
+    ]).catch((error) => {
+      modelsLoading = null;
+      throw error;
+    });
+  }
+  return modelsLoading;
+};
+
+// Decode an uploaded image into an RGB tensor face-api.js can read
+const imageToTensor = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate() // honour EXIF orientation from phone cameras
+    .resize({ width: MAX_IMAGE_SIZE, height: MAX_IMAGE_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return faceapi.tf.tensor3d(data, [info.height, info.width, 3], 'int32');
+};
+
+// Compute the 128-value descriptor of the single face in an image
+// Resolves to { valid: true, descriptor } or { valid: false, code, reason }
+const describeFace = async (buffer) => {
+  await loadModels();
+
+  let tensor;
+  try {
+    tensor = await imageToTensor(buffer);
+  } catch (error) {
+    return { valid: false, code: 'INVALID_IMAGE', reason: 'Image could not be read' };
+  }
+
+  try {
+    const options = new faceapi.SsdMobilenetv1Options({ minConfidence: MIN_DETECTION_CONFIDENCE });
+    const faces = await faceapi
+      .detectAllFaces(tensor, options)
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+
+    if (faces.length === 0) {
+      return { valid: false, code: 'NO_FACE_DETECTED', reason: 'No face found in the image' };
+    }
+    if (faces.length > 1) {
+      return { valid: false, code: 'MULTIPLE_FACES', reason: 'More than one face found in the image' };
+    }
+
+    return { valid: true, descriptor: Array.from(faces[0].descriptor) };
+  } finally {
+    tensor.dispose();
+  }
+};
+
+// Turn the euclidean distance between two descriptors into a 0-1 score;
+// face-api.js treats distances under ~0.6 as the same person
+const matchScore = (stored, candidate) => {
+  const distance = faceapi.euclideanDistance(stored, candidate);
+  return Math.round(Math.max(0, 1 - distance) * 1000) / 1000;
+};
+
+module.exports = {
+  loadModels,
+  describeFace,
+  matchScore
+};
@@ -0,0 +1,218 @@
+const EARTH_RADIUS = 6371e3; // meters
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Calculate distance between two coordinates (haversine, in meters)
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const Δφ = toRadians(lat2 - lat1);
+  const Δλ = toRadians(lon2 - lon1);
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return EARTH_RADIUS * c;
+};
+
+// Project a GeoJSON [lng, lat] position to meters on a plane centred on the origin point
+// Accurate enough at building scale, which is all a geofence needs
+const project = ([lng, lat], origin) => ({
+  x: toRadians(lng - origin.longitude) * Math.cos(toRadians(origin.latitude)) * EARTH_RADIUS,
+  y: toRadians(lat - origin.latitude) * EARTH_RADIUS
+});
+
+// Distance from the origin (0, 0) to the segment a-b
+const distanceToSegment = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+  return Math.hypot(a.x + t * dx, a.y + t * dy);
+};
+
+// Ray casting: does a ray from the origin cross the ring an odd number of times?
+const ringContainsOrigin = (points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const ringEdgeDistance = (points) => {
+  let nearest = Infinity;
+  for (let i = 0; i < points.length - 1; i++) {
+    nearest = Math.min(nearest, distanceToSegment(points[i], points[i + 1]));
+  }
+  return nearest;
+};
+
+// Point in a single GeoJSON polygon (first ring is the outline, the rest are holes)
+const evaluatePolygon = (rings, point) => {
+  const projected = rings.map(ring => ring.map(position => project(position, point)));
+  const [outline, ...holes] = projected;
+
+  const inside = ringContainsOrigin(outline) && !holes.some(ringContainsOrigin);
+  const distanceToEdge = Math.min(...projected.map(ringEdgeDistance));
+
+  return { inside, distanceToEdge };
+};
+
+// Which side of the line a-b the position c is on (-1, 0 or 1)
+const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+
+// Position c, collinear with a-b, lies within the segment's bounds
+const withinSegment = (a, b, c) => c[0] >= Math.min(a[0], b[0]) && c[0] <= Math.max(a[0], b[0]) &&
+  c[1] >= Math.min(a[1], b[1]) && c[1] <= Math.max(a[1], b[1]);
+
+// Segments a-b and c-d cross or touch
+const segmentsIntersect = ([a, b], [c, d]) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && withinSegment(a, b, c)) ||
+    (o2 === 0 && withinSegment(a, b, d)) ||
+    (o3 === 0 && withinSegment(c, d, a)) ||
+    (o4 === 0 && withinSegment(c, d, b));
+};
+
+// Edges of a closed ring, skipping repeated consecutive positions
+const ringEdges = (ring) => {
+  const positions = ring.filter((position, index) => index === 0 ||
+    position[0] !== ring[index - 1][0] || position[1] !== ring[index - 1][1]);
+  return positions.slice(1).map((position, index) => [positions[index], position]);
+};
+
+// Edges of a polygon's rings that cross or touch, other than neighbouring
+// edges of one ring meeting at their shared vertex. MongoDB's 2dsphere
+// index refuses such polygons.
+const polygonIntersects = (rings) => {
+  const edges = rings.flatMap((ring, ringIndex) => ringEdges(ring).map((edge, index, all) => ({
+    edge, ringIndex, index, count: all.length
+  })));
+
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      const a = edges[i];
+      const b = edges[j];
+      const neighbours = a.ringIndex === b.ringIndex &&
+        (b.index === a.index + 1 || (a.index === 0 && b.index === a.count - 1));
+      if (!neighbours && segmentsIntersect(a.edge, b.edge)) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+// Check a GeoJSON polygon is well formed: closed rings of at least four
+// positions whose edges don't cross
+const isValidGeofence = (geofence) => {
+  if (!geofence || !geofence.type) {
+    return true;
+  }
+
+  const polygons = geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates];
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return false;
+  }
+
+  return polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(ring => {
+    if (!Array.isArray(ring) || ring.length < 4) return false;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return ring.every(([lng, lat]) => Math.abs(lng) <= 180 && Math.abs(lat) <= 90) &&
+      first[0] === last[0] && first[1] === last[1];
+  }) && !polygonIntersects(rings));
+};
+
+// Centre of a geofence (average of its outline vertices), used when no centre is given
+const geofenceCenter = (geofence) => {
+  const polygons = geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates];
+  const vertices = polygons.flatMap(rings => rings[0].slice(0, -1));
+
+  return {
+    latitude: vertices.reduce((sum, [, lat]) => sum + lat, 0) / vertices.length,
+    longitude: vertices.reduce((sum, [lng]) => sum + lng, 0) / vertices.length
+  };
+};
+
+// Size of a geofence as a radius in meters: half the diagonal of the
+// bounding box around its outlines, comparable with a circle's radius
+const geofenceRadius = (geofence) => {
+  const polygons = geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates];
+  const vertices = polygons.flatMap(rings => rings[0]);
+  const lngs = vertices.map(([lng]) => lng);
+  const lats = vertices.map(([, lat]) => lat);
+
+  return haversineDistance(
+    Math.min(...lats),
+    Math.min(...lngs),
+    Math.max(...lats),
+    Math.max(...lngs)
+  ) / 2;
+};
+
+// GeoJSON point for a { latitude, longitude } pair
+const toGeoPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [longitude, latitude]
+});
+
+// Evaluate a point against a classroom or session location
+// Polygons and multi-polygons are used when present; otherwise the legacy
+// circle of `radius` meters around `coordinates`
+const evaluateGeofence = (location, point) => {
+  const { geofence } = location;
+
+  if (geofence && geofence.type) {
+    const polygons = geofence.type === 'MultiPolygon' ? geofence.coordinates : [geofence.coordinates];
+    const results = polygons.map(rings => evaluatePolygon(rings, point));
+    const zone = results.findIndex(result => result.inside);
+
+    return {
+      shape: geofence.type,
+      inside: zone !== -1,
+      zone: zone === -1 ? null : zone,
+      distanceToEdge: zone === -1
+        ? Math.min(...results.map(result => result.distanceToEdge))
+        : results[zone].distanceToEdge
+    };
+  }
+
+  const distance = haversineDistance(
+    point.latitude,
+    point.longitude,
+    location.coordinates.latitude,
+    location.coordinates.longitude
+  );
+
+  return {
+    shape: 'Circle',
+    inside: distance <= location.radius,
+    zone: distance <= location.radius ? 0 : null,
+    distance,
+    distanceToEdge: Math.abs(distance - location.radius)
+  };
+};
+
+module.exports = {
+  haversineDistance,
+  evaluateGeofence,
+  isValidGeofence,
+  geofenceCenter,
+  geofenceRadius,
+  toGeoPoint
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Short-lived access tokens; the refresh token keeps the device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Raised when a correctly signed token has been revoked
+class TokenRevokedError extends Error {
+  constructor(message = 'Token has been revoked') {
+    super(message);
+    this.name = 'TokenRevokedError';
+  }
+}
+
+// Key id derived from the secret, so keys need no separate naming
+const keyId = (secret) => crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8);
+
+// JWT_SECRET signs new tokens. To rotate, move the old value into
+// JWT_PREVIOUS_SECRETS (comma separated): tokens it signed keep verifying
+// until they expire, and the old secret can be dropped after that.
+const getKeys = () => {
+  const previous = (process.env.JWT_PREVIOUS_SECRETS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  return [process.env.JWT_SECRET, ...previous].map(secret => ({ kid: keyId(secret), secret }));
+};
+
+// Sign an access token for a user and (optionally) their device session
+const signAccessToken = (userId, sessionId) => {
+  const [current] = getKeys();
+  const payload = sessionId ? { userId, sid: sessionId.toString() } : { userId };
+  return jwt.sign(payload, current.secret, { expiresIn: ACCESS_TOKEN_TTL, keyid: current.kid });
+};
+
+// Verify an access token against the key named in its header
+// Tokens issued before key ids existed are tried against every key
+const verifyAccessToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const keys = getKeys();
+  const candidates = decoded.header.kid
+    ? keys.filter(key => key.kid === decoded.header.kid)
+    : keys;
+
+  if (candidates.length === 0) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  let lastError;
+  for (const key of candidates) {
+    try {
+      return jwt.verify(token, key.secret);
+    } catch (error) {
+      // An expired token is expired whichever key signed it
+      if (error.name === 'TokenExpiredError') throw error;
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  TokenRevokedError,
+  signAccessToken,
+  verifyAccessToken
+};
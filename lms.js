@@ -0,0 +1,477 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const LmsPlatform = require('../models/LmsPlatform');
+const LmsCourseLink = require('../models/LmsCourseLink');
+const LmsSyncRun = require('../models/LmsSyncRun');
+const { authenticateToken, requireAdmin, requireClassroomAccess, requirePermission } = require('../middleware/auth');
+const { getToolJwks } = require('../utils/ltiClient');
+const { getProvider } = require('../utils/lmsProviders');
+const { syncRoster, syncGrades } = require('../utils/lmsSync');
+
+const router = express.Router();
+
+// Validation schemas
+const url = Joi.string().uri({ scheme: ['http', 'https'] });
+
+const platformSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  issuer: url.required(),
+  clientId: Joi.string().max(200).required(),
+  deploymentId: Joi.string().max(200).allow(null, '').optional(),
+  authTokenUrl: url.required(),
+  authServer: url.allow(null, '').optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const updatePlatformSchema = platformSchema.fork(
+  ['name', 'issuer', 'clientId', 'authTokenUrl'],
+  schema => schema.optional()
+).min(1);
+
+const linkSchema = Joi.object({
+  provider: Joi.string().valid('lti13', 'mock').required(),
+  platformId: Joi.string().when('provider', { is: 'lti13', then: Joi.required(), otherwise: Joi.forbidden() }),
+  courseId: Joi.string().max(200).required(),
+  membershipsUrl: url.when('provider', { is: 'lti13', then: Joi.required(), otherwise: Joi.optional() }),
+  // Without it grades can't be pushed
+  lineItemsUrl: url.allow(null).optional(),
+  gradeColumnLabel: Joi.string().max(100).optional(),
+  removeMissing: Joi.boolean().optional(),
+  autoSync: Joi.boolean().optional()
+});
+
+const syncSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+const formatPlatform = (platform) => ({
+  id: platform._id,
+  name: platform.name,
+  issuer: platform.issuer,
+  clientId: platform.clientId,
+  deploymentId: platform.deploymentId,
+  authTokenUrl: platform.authTokenUrl,
+  authServer: platform.authServer,
+  isActive: platform.isActive,
+  createdAt: platform.createdAt
+});
+
+const formatLink = (link) => ({
+  id: link._id,
+  classroom: link.classroom,
+  provider: link.provider,
+  platform: link.platform,
+  courseId: link.courseId,
+  courseTitle: link.courseTitle,
+  membershipsUrl: link.membershipsUrl,
+  lineItemsUrl: link.lineItemsUrl,
+  lineItemId: link.lineItemId,
+  gradeColumnLabel: link.gradeColumnLabel,
+  removeMissing: link.removeMissing,
+  autoSync: link.autoSync,
+  members: link.members.length,
+  matchedMembers: link.members.filter(member => member.user).length,
+  lastRosterSyncAt: link.lastRosterSyncAt,
+  lastGradeSyncAt: link.lastGradeSyncAt,
+  syncing: Boolean(link.syncLockedUntil && link.syncLockedUntil > new Date())
+});
+
+const formatRun = (run, { full = false } = {}) => ({
+  id: run._id,
+  kind: run.kind,
+  trigger: run.trigger,
+  dryRun: run.dryRun,
+  status: run.status,
+  startedBy: run.startedBy,
+  summary: run.summary,
+  error: run.error,
+  createdAt: run.createdAt,
+  finishedAt: run.finishedAt,
+  ...(full ? { diff: run.diff } : {})
+});
+
+// Load the course link of :classroomId into req.link
+const loadLink = async (req, res, next) => {
+  try {
+    const link = await LmsCourseLink.findOne({ classroom: req.classroom._id });
+    if (!link) {
+      return res.status(404).json({
+        message: 'Classroom is not linked to an LMS course',
+        code: 'LMS_LINK_NOT_FOUND'
+      });
+    }
+
+    req.link = link;
+    next();
+  } catch (error) {
+    console.error('Load LMS link error:', error);
+    res.status(500).json({
+      message: 'Failed to load LMS course link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const runSyncRoute = (sync, label) => async (req, res) => {
+  try {
+    const { error, value } = syncSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const run = await sync(req.link._id, { dryRun: value.dryRun, startedBy: req.user._id });
+
+    res.json({
+      message: value.dryRun ? `${label} sync previewed` : `${label} synced`,
+      run: formatRun(run, { full: true })
+    });
+
+  } catch (error) {
+    if (error.name === 'LmsSyncBusyError') {
+      return res.status(409).json({
+        message: error.message,
+        code: 'SYNC_IN_PROGRESS'
+      });
+    }
+    if (error.name === 'LmsConfigError') {
+      return res.status(400).json({
+        message: error.message,
+        code: 'LMS_NOT_CONFIGURED',
+        ...(error.run ? { run: formatRun(error.run) } : {})
+      });
+    }
+    if (error.run) {
+      // The LMS failed; the run log has the details
+      return res.status(502).json({
+        message: `${label} sync failed: ${error.message}`,
+        code: 'LMS_SYNC_FAILED',
+        run: formatRun(error.run)
+      });
+    }
+
+    console.error(`${label} sync error:`, error);
+    res.status(500).json({
+      message: `Failed to sync ${label.toLowerCase()}`,
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Public key set of the tool, for platforms to verify its client assertions
+router.get('/jwks', (req, res) => {
+  try {
+    res.json(getToolJwks());
+  } catch (error) {
+    console.error('LTI JWKS error:', error);
+    res.status(503).json({
+      message: 'LTI tool key is not configured',
+      code: 'LTI_NOT_CONFIGURED'
+    });
+  }
+});
+
+// List registered platforms
+router.get('/platforms', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const platforms = await LmsPlatform.find().sort({ name: 1 });
+    res.json({ platforms: platforms.map(formatPlatform) });
+
+  } catch (error) {
+    console.error('List LMS platforms error:', error);
+    res.status(500).json({
+      message: 'Failed to list LMS platforms',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Register an LTI 1.3 platform
+router.post('/platforms', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = platformSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const platform = await LmsPlatform.create({ ...value, createdBy: req.user._id });
+
+    res.status(201).json({
+      message: 'LMS platform registered',
+      platform: formatPlatform(platform)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'This issuer and client ID are already registered',
+        code: 'PLATFORM_EXISTS'
+      });
+    }
+    console.error('Create LMS platform error:', error);
+    res.status(500).json({
+      message: 'Failed to register LMS platform',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a platform registration
+router.put('/platforms/:platformId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = updatePlatformSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { platformId } = req.params;
+    const platform = mongoose.Types.ObjectId.isValid(platformId)
+      ? await LmsPlatform.findById(platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({
+        message: 'LMS platform not found',
+        code: 'PLATFORM_NOT_FOUND'
+      });
+    }
+
+    platform.set(value);
+    await platform.save();
+
+    res.json({
+      message: 'LMS platform updated',
+      platform: formatPlatform(platform)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'This issuer and client ID are already registered',
+        code: 'PLATFORM_EXISTS'
+      });
+    }
+    console.error('Update LMS platform error:', error);
+    res.status(500).json({
+      message: 'Failed to update LMS platform',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a platform no course link uses
+router.delete('/platforms/:platformId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { platformId } = req.params;
+    const platform = mongoose.Types.ObjectId.isValid(platformId)
+      ? await LmsPlatform.findById(platformId)
+      : null;
+    if (!platform) {
+      return res.status(404).json({
+        message: 'LMS platform not found',
+        code: 'PLATFORM_NOT_FOUND'
+      });
+    }
+
+    const links = await LmsCourseLink.countDocuments({ platform: platform._id });
+    if (links > 0) {
+      return res.status(409).json({
+        message: `${links} classroom(s) are linked through this platform; unlink them first`,
+        code: 'PLATFORM_IN_USE'
+      });
+    }
+
+    await platform.deleteOne();
+    res.json({ message: 'LMS platform removed' });
+
+  } catch (error) {
+    console.error('Delete LMS platform error:', error);
+    res.status(500).json({
+      message: 'Failed to remove LMS platform',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// A classroom's course link
+router.get('/classrooms/:classroomId/link', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), loadLink, (req, res) => {
+  res.json({ link: formatLink(req.link) });
+});
+
+// Link a classroom to an LMS course, or change its link. Pointing it at a
+// different course starts over: the next roster sync matches from scratch.
+router.put('/classrooms/:classroomId/link', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { error, value } = linkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    try {
+      getProvider(value.provider);
+    } catch (providerError) {
+      return res.status(400).json({
+        message: providerError.message,
+        code: 'PROVIDER_UNAVAILABLE'
+      });
+    }
+
+    const { platformId, ...fields } = value;
+    let platform = null;
+    if (value.provider === 'lti13') {
+      platform = mongoose.Types.ObjectId.isValid(platformId)
+        ? await LmsPlatform.findById(platformId)
+        : null;
+      if (!platform || !platform.isActive) {
+        return res.status(404).json({
+          message: 'LMS platform not found',
+          code: 'PLATFORM_NOT_FOUND'
+        });
+      }
+    }
+
+    let link = await LmsCourseLink.findOne({ classroom: req.classroom._id });
+    const isNew = !link;
+    if (!link) {
+      link = new LmsCourseLink({ classroom: req.classroom._id, createdBy: req.user._id });
+    }
+
+    const platformRef = platform ? platform._id : null;
+    const courseChanged = !isNew && (
+      link.provider !== value.provider ||
+      link.courseId !== value.courseId ||
+      String(link.platform) !== String(platformRef)
+    );
+    if (courseChanged && link.syncLockedUntil && link.syncLockedUntil > new Date()) {
+      return res.status(409).json({
+        message: 'A sync of this course is running; try again when it finishes',
+        code: 'SYNC_IN_PROGRESS'
+      });
+    }
+
+    link.set({
+      membershipsUrl: null,
+      lineItemsUrl: null,
+      ...fields,
+      platform: platformRef
+    });
+    if (courseChanged) {
+      link.set({
+        members: [],
+        courseTitle: null,
+        lineItemId: null,
+        lastRosterSyncAt: null,
+        lastGradeSyncAt: null
+      });
+    }
+    await link.save();
+
+    res.status(isNew ? 201 : 200).json({
+      message: isNew ? 'Classroom linked to LMS course' : 'LMS course link updated',
+      link: formatLink(link)
+    });
+
+  } catch (error) {
+    console.error('Link LMS course error:', error);
+    res.status(500).json({
+      message: 'Failed to link LMS course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Unlink a classroom; enrolled students and sync runs are kept
+router.delete('/classrooms/:classroomId/link', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), loadLink, async (req, res) => {
+  try {
+    await req.link.deleteOne();
+    res.json({ message: 'Classroom unlinked from LMS course' });
+
+  } catch (error) {
+    console.error('Unlink LMS course error:', error);
+    res.status(500).json({
+      message: 'Failed to unlink LMS course',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Enrol the course's learners and unenrol those who left (dryRun to preview)
+router.post('/classrooms/:classroomId/sync/roster', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), loadLink, runSyncRoute(syncRoster, 'Roster'));
+
+// Push attendance percentages to the course gradebook (dryRun to preview)
+router.post('/classrooms/:classroomId/sync/grades', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), loadLink, runSyncRoute(syncGrades, 'Grades'));
+
+// Sync runs of a classroom, newest first
+router.get('/classrooms/:classroomId/runs', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { kind, page = 1, limit = 20 } = req.query;
+    const query = { classroom: req.classroom._id };
+    if (kind) query.kind = kind;
+
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [runs, total] = await Promise.all([
+      LmsSyncRun.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LmsSyncRun.countDocuments(query)
+    ]);
+
+    res.json({
+      runs: runs.map(run => formatRun(run)),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('List LMS sync runs error:', error);
+    res.status(500).json({
+      message: 'Failed to list sync runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// One sync run with its diff
+router.get('/classrooms/:classroomId/runs/:runId', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const run = mongoose.Types.ObjectId.isValid(runId)
+      ? await LmsSyncRun.findOne({ _id: runId, classroom: req.classroom._id })
+      : null;
+
+    if (!run) {
+      return res.status(404).json({
+        message: 'Sync run not found',
+        code: 'SYNC_RUN_NOT_FOUND'
+      });
+    }
+
+    res.json({ run: formatRun(run, { full: true }) });
+
+  } catch (error) {
+    console.error('Get LMS sync run error:', error);
+    res.status(500).json({
+      message: 'Failed to get sync run',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
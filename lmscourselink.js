@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const LMS_PROVIDERS = ['lti13', 'mock'];
+
+// A classroom's link to a course in an external LMS. Roster syncs keep the
+// classroom's students in step with the course's learners; grade syncs push
+// each student's attendance percentage to a grade column.
+const lmsCourseLinkSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: LMS_PROVIDERS,
+    required: true
+  },
+  // Required for lti13
+  platform: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LmsPlatform',
+    default: null
+  },
+  // Course (LTI context) ID in the LMS
+  courseId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseTitle: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // LTI Names and Role Provisioning Services endpoint of the course
+  membershipsUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // LTI Assignment and Grade Services line items endpoint of the course
+  lineItemsUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Grade column created by the first grade sync
+  lineItemId: {
+    type: String,
+    default: null
+  },
+  gradeColumnLabel: {
+    type: String,
+    trim: true,
+    default: 'Attendance'
+  },
+  // Unenrol students who leave the course. Only students enrolled by a
+  // roster sync are removed; ones added by hand are left alone.
+  removeMissing: {
+    type: Boolean,
+    default: true
+  },
+  // Include in the nightly sync (jobs/lmsScheduler)
+  autoSync: {
+    type: Boolean,
+    default: false
+  },
+  // Course learners as of the last roster sync, with the account each was
+  // matched to (null when unmatched) and the last grade pushed for them
+  members: [{
+    _id: false,
+    externalId: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    pushedPercentage: {
+      type: Number,
+      default: null
+    },
+    pushedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  lastRosterSyncAt: {
+    type: Date,
+    default: null
+  },
+  lastGradeSyncAt: {
+    type: Date,
+    default: null
+  },
+  // Held while a sync runs so two syncs of one course never interleave
+  syncLockedUntil: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+lmsCourseLinkSchema.index({ autoSync: 1 });
+lmsCourseLinkSchema.index({ platform: 1 });
+
+module.exports = mongoose.model('LmsCourseLink', lmsCourseLinkSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An LMS registered with this tool under LTI 1.3 (e.g. a Moodle site).
+// The tool signs its service-token requests with LTI_TOOL_PRIVATE_KEY; the
+// platform verifies them against GET /api/lms/jwks.
+const lmsPlatformSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Platform issuer, e.g. https://moodle.example.edu
+  issuer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Client ID the platform assigned to this tool
+  clientId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  deploymentId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // OAuth2 token endpoint, e.g. https://moodle.example.edu/mod/lti/token.php
+  authTokenUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Audience of client assertions when it differs from the token endpoint
+  authServer: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+lmsPlatformSchema.index({ issuer: 1, clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LmsPlatform', lmsPlatformSchema);
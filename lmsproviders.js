@@ -0,0 +1,77 @@
+const LmsPlatform = require('../models/LmsPlatform');
+const { fetchMemberships, ensureLineItem, postScore } = require('./ltiClient');
+const { mockProvider } = require('./mockLms');
+
+// Each provider implements, for a course link:
+//   fetchMembers(link)                      -> { courseTitle, members } (NRPS member objects)
+//   ensureLineItem(link, { label, resourceId, scoreMaximum }) -> line item id
+//   postScore(link, lineItemId, score)      -> resolves when the LMS accepted it
+
+// Raised when a link can't be synced as configured
+class LmsConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LmsConfigError';
+  }
+}
+
+const loadPlatform = async (link) => {
+  const platform = await LmsPlatform.findById(link.platform);
+  if (!platform || !platform.isActive) {
+    throw new LmsConfigError('The LMS platform of this course link is missing or disabled');
+  }
+  return platform;
+};
+
+const lti13Provider = {
+  fetchMembers: async (link) => {
+    if (!link.membershipsUrl) {
+      throw new LmsConfigError('The course link has no memberships URL');
+    }
+    const platform = await loadPlatform(link);
+    const { context, members } = await fetchMemberships(platform, link.membershipsUrl);
+    return { courseTitle: context ? context.title || context.label || null : null, members };
+  },
+
+  ensureLineItem: async (link, lineItem) => {
+    if (!link.lineItemsUrl) {
+      throw new LmsConfigError('The course link has no line items URL');
+    }
+    const platform = await loadPlatform(link);
+    return ensureLineItem(platform, link.lineItemsUrl, lineItem);
+  },
+
+  postScore: async (link, lineItemId, score) => {
+    const platform = await loadPlatform(link);
+    return postScore(platform, lineItemId, score);
+  }
+};
+
+// The mock provider is for development and tests only
+const isMockEnabled = () => process.env.NODE_ENV !== 'production' || process.env.LMS_MOCK_ENABLED === 'true';
+
+const getProvider = (name) => {
+  if (name === 'lti13') return lti13Provider;
+  if (name === 'mock' && isMockEnabled()) return mockProvider;
+  throw new LmsConfigError(`LMS provider ${name} is not available`);
+};
+
+// LTI roles may be full URIs or short names
+const hasRole = (member, role) => (member.roles || []).some(value => value === role || value.endsWith(`#${role}`));
+
+// Flatten an NRPS member into what the sync needs
+const normalizeMember = (member) => ({
+  externalId: String(member.user_id),
+  email: member.email ? member.email.trim().toLowerCase() : null,
+  name: member.name || [member.given_name, member.family_name].filter(Boolean).join(' ') || null,
+  sourcedId: member.lis_person_sourcedid || null,
+  isLearner: hasRole(member, 'Learner') && !hasRole(member, 'Instructor'),
+  isActive: (member.status || 'Active') === 'Active'
+});
+
+module.exports = {
+  LmsConfigError,
+  isMockEnabled,
+  getProvider,
+  normalizeMember
+};
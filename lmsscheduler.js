@@ -0,0 +1,60 @@
+const cron = require('node-cron');
+const LmsCourseLink = require('../models/LmsCourseLink');
+const { syncRoster, syncGrades } = require('../utils/lmsSync');
+
+// Nightly by default; roster and grades change slowly
+const DEFAULT_CRON = '30 2 * * *';
+
+// Sync every auto-sync course link: roster first, so grades go to the
+// current learners. Links already being synced are skipped until next time.
+const syncAutoLinks = async () => {
+  const links = await LmsCourseLink.find({ autoSync: true }).select('_id');
+  const results = { synced: 0, failed: 0, busy: 0 };
+
+  for (const link of links) {
+    try {
+      await syncRoster(link._id, { trigger: 'scheduled' });
+      await syncGrades(link._id, { trigger: 'scheduled' });
+      results.synced++;
+    } catch (error) {
+      if (error.name === 'LmsSyncBusyError') {
+        results.busy++;
+      } else {
+        console.error(`LMS sync error (link ${link._id}):`, error.message);
+        results.failed++;
+      }
+    }
+  }
+
+  return results;
+};
+
+// Schedule the LMS sync job; returns the cron task so callers can stop it
+const startLmsScheduler = (expression = process.env.LMS_SYNC_CRON || DEFAULT_CRON) => {
+  let running = false;
+
+  const task = cron.schedule(expression, async () => {
+    // Skip the tick if the previous one is still working
+    if (running) return;
+    running = true;
+
+    try {
+      const results = await syncAutoLinks();
+      if (results.synced + results.failed + results.busy > 0) {
+        console.log('LMS sync finished:', results);
+      }
+    } catch (error) {
+      console.error('LMS scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log(`LMS scheduler running (${expression})`);
+  return task;
+};
+
+module.exports = {
+  syncAutoLinks,
+  startLmsScheduler
+};
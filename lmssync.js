@@ -0,0 +1,315 @@
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const LmsCourseLink = require('../models/LmsCourseLink');
+const LmsSyncRun = require('../models/LmsSyncRun');
+const { LmsConfigError, getProvider, normalizeMember } = require('./lmsProviders');
+const { countByStudent } = require('./eligibility');
+const { resolveWeighting, weighCounts, toPercentage } = require('./attendanceWeighting');
+
+// A sync that hasn't released its lock by then is assumed dead
+const SYNC_LOCK_MS = 10 * 60 * 1000;
+
+// Grades are pushed as a percentage out of this
+const SCORE_MAXIMUM = 100;
+
+// Raised when another sync of the same course link is running
+class LmsSyncBusyError extends Error {
+  constructor(message = 'A sync of this course is already running') {
+    super(message);
+    this.name = 'LmsSyncBusyError';
+  }
+}
+
+// Take the link's sync lock with a conditional update, so concurrent syncs
+// (manual or scheduled, on any instance) never interleave
+const claimLink = async (linkId) => {
+  const now = new Date();
+  const link = await LmsCourseLink.findOneAndUpdate(
+    { _id: linkId, $or: [{ syncLockedUntil: null }, { syncLockedUntil: { $lte: now } }] },
+    { $set: { syncLockedUntil: new Date(now.getTime() + SYNC_LOCK_MS) } },
+    { new: true }
+  );
+  if (!link) {
+    throw new LmsSyncBusyError();
+  }
+  return link;
+};
+
+// Run `work(link)` under the link's lock and log it as a sync run.
+// `work` resolves to { summary, diff }. Failures are logged on the run and
+// rethrown with the run attached as `error.run`.
+const runSync = async (linkId, kind, { dryRun = false, trigger = 'manual', startedBy = null }, work) => {
+  const link = await claimLink(linkId);
+  const run = await LmsSyncRun.create({
+    link: link._id,
+    classroom: link.classroom,
+    kind,
+    trigger,
+    dryRun,
+    startedBy
+  });
+
+  try {
+    const { summary, diff } = await work(link, { dryRun });
+    run.set({ status: 'succeeded', summary, diff, finishedAt: new Date() });
+    await run.save();
+    return run;
+  } catch (error) {
+    run.set({ status: 'failed', error: error.message, finishedAt: new Date() });
+    await run.save();
+    error.run = run;
+    throw error;
+  } finally {
+    await LmsCourseLink.updateOne({ _id: link._id }, { $set: { syncLockedUntil: null } });
+  }
+};
+
+const loadClassroom = async (link, fields) => {
+  const classroom = await Classroom.findById(link.classroom).select(fields);
+  if (!classroom) {
+    throw new LmsConfigError('The linked classroom no longer exists');
+  }
+  return classroom;
+};
+
+const memberEntry = (learner, user = null) => ({
+  externalId: learner.externalId,
+  user: user ? user._id : null,
+  email: learner.email,
+  name: learner.name
+});
+
+// Match the course's active learners to student accounts and enrol or
+// unenrol them. A learner matches the account it matched last time, else
+// the account with its email, else the one whose studentId is its SIS id.
+const rosterWork = async (link, { dryRun }) => {
+  const classroom = await loadClassroom(link, 'students');
+  const { courseTitle, members } = await getProvider(link.provider).fetchMembers(link);
+
+  // Active learners, once each
+  const learners = new Map();
+  members.map(normalizeMember)
+    .filter(member => member.isLearner && member.isActive)
+    .forEach(member => learners.set(member.externalId, member));
+
+  const previous = new Map(link.members.map(member => [member.externalId, member]));
+  const candidates = await User.find({
+    $or: [
+      { _id: { $in: link.members.map(member => member.user).filter(Boolean) } },
+      { email: { $in: [...learners.values()].map(learner => learner.email).filter(Boolean) } },
+      { studentId: { $in: [...learners.values()].map(learner => learner.sourcedId).filter(Boolean) } }
+    ]
+  }).select('email studentId role');
+  const byId = new Map(candidates.map(user => [user._id.toString(), user]));
+  const byEmail = new Map(candidates.map(user => [user.email, user]));
+  const byStudentId = new Map(candidates.filter(user => user.studentId).map(user => [user.studentId, user]));
+
+  const enrolled = new Set(classroom.students.map(id => id.toString()));
+  const matched = new Map(); // user id -> learner
+  const diff = { added: [], removed: [], unmatched: [] };
+  const nextMembers = [];
+  let unchanged = 0;
+
+  for (const learner of learners.values()) {
+    const known = previous.get(learner.externalId);
+    const user = (known && known.user && byId.get(known.user.toString())) ||
+      (learner.email && byEmail.get(learner.email)) ||
+      (learner.sourcedId && byStudentId.get(learner.sourcedId)) ||
+      null;
+
+    let reason = null;
+    if (!user) {
+      reason = 'No account with this email or student ID';
+    } else if (user.role !== 'student') {
+      reason = 'Account is not a student';
+    } else if (matched.has(user._id.toString())) {
+      reason = `Account is already matched to member ${matched.get(user._id.toString()).externalId}`;
+    }
+
+    if (reason) {
+      diff.unmatched.push({ ...memberEntry(learner), reason });
+      nextMembers.push(memberEntry(learner));
+      continue;
+    }
+
+    matched.set(user._id.toString(), learner);
+    const entry = memberEntry(learner, user);
+    // Keep the grade bookkeeping while the member maps to the same account
+    if (known && known.user && known.user.equals(user._id)) {
+      entry.pushedPercentage = known.pushedPercentage;
+      entry.pushedAt = known.pushedAt;
+    }
+    nextMembers.push(entry);
+
+    if (enrolled.has(user._id.toString())) {
+      unchanged++;
+    } else {
+      diff.added.push(memberEntry(learner, user));
+    }
+  }
+
+  // Students this sync enrolled earlier who have left the course
+  if (link.removeMissing) {
+    for (const member of link.members) {
+      if (!member.user) continue;
+      const userId = member.user.toString();
+      if (!matched.has(userId) && enrolled.has(userId)) {
+        diff.removed.push({ externalId: member.externalId, user: member.user, email: member.email, name: member.name });
+      }
+    }
+  }
+
+  // Enrolled by hand and not in the course; never touched
+  const synced = new Set([...matched.keys(), ...diff.removed.map(entry => entry.user.toString())]);
+  const unmanaged = [...enrolled].filter(userId => !synced.has(userId)).length;
+
+  if (!dryRun) {
+    // $addToSet and $pull make re-running a sync harmless
+    if (diff.added.length > 0) {
+      await Classroom.updateOne(
+        { _id: classroom._id },
+        { $addToSet: { students: { $each: diff.added.map(entry => entry.user) } } }
+      );
+    }
+    if (diff.removed.length > 0) {
+      await Classroom.updateOne(
+        { _id: classroom._id },
+        { $pull: { students: { $in: diff.removed.map(entry => entry.user) } } }
+      );
+    }
+
+    await LmsCourseLink.updateOne(
+      { _id: link._id },
+      {
+        $set: {
+          members: nextMembers,
+          lastRosterSyncAt: new Date(),
+          ...(courseTitle ? { courseTitle } : {})
+        }
+      }
+    );
+  }
+
+  return {
+    summary: {
+      learners: learners.size,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      unmatched: diff.unmatched.length,
+      unchanged,
+      unmanaged
+    },
+    diff
+  };
+};
+
+// Push each matched student's weighted attendance percentage to the
+// course's attendance grade column. Grades equal to the last pushed value
+// are skipped, so a re-run only sends what changed.
+const gradesWork = async (link, { dryRun }) => {
+  if (!link.lastRosterSyncAt) {
+    throw new LmsConfigError('Sync the roster before pushing grades');
+  }
+
+  const classroom = await loadClassroom(link, 'students settings');
+  const weighting = resolveWeighting(classroom);
+  const counts = await countByStudent(classroom._id);
+  const enrolled = new Set(classroom.students.map(id => id.toString()));
+
+  const diff = { pushed: [], skipped: [], failed: [] };
+  const targets = [];
+  let unchanged = 0;
+
+  for (const member of link.members) {
+    if (!member.user) continue;
+
+    const entry = { externalId: member.externalId, user: member.user, name: member.name };
+    if (!enrolled.has(member.user.toString())) {
+      diff.skipped.push({ ...entry, reason: 'Not enrolled in the classroom' });
+      continue;
+    }
+
+    const { attended, countable } = weighCounts(counts.get(member.user.toString()) || {}, weighting);
+    const percentage = toPercentage(attended, countable);
+    if (percentage === null) {
+      diff.skipped.push({ ...entry, reason: 'No attendance recorded yet' });
+    } else if (percentage === member.pushedPercentage) {
+      unchanged++;
+    } else {
+      targets.push({ entry, from: member.pushedPercentage, percentage, attended, countable });
+    }
+  }
+
+  if (dryRun) {
+    diff.pushed = targets.map(({ entry, from, percentage }) => ({ ...entry, from, to: percentage }));
+  } else if (targets.length > 0) {
+    const provider = getProvider(link.provider);
+    let lineItemId = link.lineItemId;
+    if (!lineItemId) {
+      lineItemId = await provider.ensureLineItem(link, {
+        label: link.gradeColumnLabel,
+        resourceId: `attendance-${classroom._id}`,
+        scoreMaximum: SCORE_MAXIMUM
+      });
+      await LmsCourseLink.updateOne({ _id: link._id }, { $set: { lineItemId } });
+    }
+
+    const pushedAt = new Date();
+    let lineItemGone = false;
+    for (const { entry, from, percentage, attended, countable } of targets) {
+      try {
+        await provider.postScore(link, lineItemId, {
+          userId: entry.externalId,
+          scoreGiven: percentage,
+          scoreMaximum: SCORE_MAXIMUM,
+          comment: `Attended ${Math.round(attended * 100) / 100} of ${countable} sessions`,
+          activityProgress: 'InProgress',
+          gradingProgress: 'FullyGraded',
+          timestamp: pushedAt.toISOString()
+        });
+        diff.pushed.push({ ...entry, from, to: percentage });
+      } catch (error) {
+        lineItemGone = lineItemGone || error.status === 404;
+        diff.failed.push({ ...entry, to: percentage, error: error.message });
+      }
+    }
+
+    if (diff.pushed.length > 0) {
+      await LmsCourseLink.bulkWrite(diff.pushed.map(entry => ({
+        updateOne: {
+          filter: { _id: link._id, 'members.externalId': entry.externalId },
+          update: { $set: { 'members.$.pushedPercentage': entry.to, 'members.$.pushedAt': pushedAt } }
+        }
+      })));
+    }
+
+    // The column was deleted in the LMS; the next sync creates it again
+    if (lineItemGone && diff.pushed.length === 0) {
+      await LmsCourseLink.updateOne({ _id: link._id }, { $set: { lineItemId: null } });
+    }
+  }
+
+  if (!dryRun) {
+    await LmsCourseLink.updateOne({ _id: link._id }, { $set: { lastGradeSyncAt: new Date() } });
+  }
+
+  return {
+    summary: {
+      pushed: diff.pushed.length,
+      unchanged,
+      skipped: diff.skipped.length,
+      failed: diff.failed.length
+    },
+    diff
+  };
+};
+
+const syncRoster = (linkId, options = {}) => runSync(linkId, 'roster', options, rosterWork);
+
+const syncGrades = (linkId, options = {}) => runSync(linkId, 'grades', options, gradesWork);
+
+module.exports = {
+  LmsSyncBusyError,
+  syncRoster,
+  syncGrades
+};
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const Attendance = require('../models/Attendance');
+const AttendanceRollup = require('../models/AttendanceRollup');
+const LmsCourseLink = require('../models/LmsCourseLink');
+const LmsSyncRun = require('../models/LmsSyncRun');
+const { seedMockCourse, getMockCourse, resetMockLms } = require('./mockLms');
+const { LmsSyncBusyError, syncRoster, syncGrades } = require('./lmsSync');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// In-memory classroom, accounts, course link and attendance counts that
+// stand in for the queries the sync makes
+let classroom;
+let users;
+let link;
+let counts;
+let runs;
+
+const student = (email, studentId) => ({ _id: id(), email, studentId, role: 'student' });
+
+Classroom.findById = () => ({ select: async () => classroom });
+Classroom.updateOne = async (filter, update) => {
+  if (update.$addToSet) {
+    classroom.students.push(...update.$addToSet.students.$each);
+  }
+  if (update.$pull) {
+    const removed = update.$pull.students.$in.map(userId => userId.toString());
+    classroom.students = classroom.students.filter(userId => !removed.includes(userId.toString()));
+  }
+};
+
+User.find = () => ({ select: async () => users });
+
+AttendanceRollup.exists = async () => null;
+Attendance.aggregate = async () => [...counts].map(([studentId, row]) => ({ _id: studentId, ...row }));
+
+LmsCourseLink.findOneAndUpdate = async (filter, { $set }) => {
+  if (link.syncLockedUntil && link.syncLockedUntil > new Date()) return null;
+  link.set($set);
+  return link;
+};
+LmsCourseLink.updateOne = async (filter, { $set }) => {
+  link.set($set);
+};
+LmsCourseLink.bulkWrite = async (operations) => {
+  for (const { updateOne: { filter, update } } of operations) {
+    const member = link.members.find(entry => entry.externalId === filter['members.externalId']);
+    member.pushedPercentage = update.$set['members.$.pushedPercentage'];
+    member.pushedAt = update.$set['members.$.pushedAt'];
+  }
+};
+
+LmsSyncRun.create = async (fields) => {
+  const run = new LmsSyncRun(fields);
+  runs.push(run);
+  return run;
+};
+LmsSyncRun.prototype.save = async function() {
+  return this;
+};
+
+const asha = student('asha@example.edu', 'CS-001');
+const ben = student('ben@example.edu', 'CS-002');
+const chen = student('chen@example.edu', 'CS-003');
+
+test.beforeEach(() => {
+  resetMockLms();
+  seedMockCourse('CS101', {
+    title: 'Data Structures',
+    members: [
+      { user_id: 'u1', email: 'Asha@example.edu', given_name: 'Asha', family_name: 'Rao', roles: ['Learner'] },
+      { user_id: 'u2', lis_person_sourcedid: 'CS-002', name: 'Ben Ito', roles: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner'] },
+      { user_id: 'u3', email: 'nobody@example.edu', roles: ['Learner'] },
+      { user_id: 't1', email: 'teacher@example.edu', roles: ['Instructor'] },
+      { user_id: 'u4', email: 'chen@example.edu', roles: ['Learner'], status: 'Inactive' }
+    ]
+  });
+
+  // Chen was enrolled by hand
+  classroom = { _id: id(), students: [chen._id], settings: {} };
+  users = [asha, ben, chen];
+  counts = new Map();
+  runs = [];
+  link = new LmsCourseLink({ classroom: classroom._id, provider: 'mock', courseId: 'CS101' });
+});
+
+const enrolledIds = () => classroom.students.map(userId => userId.toString()).sort();
+
+test('a roster sync enrols matched learners and reports the rest', async () => {
+  const run = await syncRoster(link._id);
+
+  assert.strictEqual(run.status, 'succeeded');
+  assert.deepStrictEqual(run.summary, { learners: 3, added: 2, removed: 0, unmatched: 1, unchanged: 0, unmanaged: 1 });
+  assert.deepStrictEqual(run.diff.unmatched.map(entry => entry.externalId), ['u3']);
+  assert.deepStrictEqual(enrolledIds(), [asha, ben, chen].map(user => user._id.toString()).sort());
+
+  assert.strictEqual(link.courseTitle, 'Data Structures');
+  assert.ok(link.lastRosterSyncAt);
+  assert.strictEqual(link.syncLockedUntil, null);
+  assert.deepStrictEqual(link.members.map(member => [member.externalId, member.user && member.user.toString()]), [
+    ['u1', asha._id.toString()],
+    ['u2', ben._id.toString()],
+    ['u3', null]
+  ]);
+});
+
+test('a second roster sync changes nothing', async () => {
+  await syncRoster(link._id);
+  const run = await syncRoster(link._id);
+
+  assert.deepStrictEqual(run.summary, { learners: 3, added: 0, removed: 0, unmatched: 1, unchanged: 2, unmanaged: 1 });
+});
+
+test('learners who leave the course are unenrolled, students added by hand are not', async () => {
+  await syncRoster(link._id);
+  const course = getMockCourse('CS101');
+  course.members = course.members.filter(member => member.user_id !== 'u2');
+
+  const run = await syncRoster(link._id);
+  assert.deepStrictEqual(run.diff.removed.map(entry => entry.externalId), ['u2']);
+  assert.deepStrictEqual(enrolledIds(), [asha, chen].map(user => user._id.toString()).sort());
+});
+
+test('a dry run reports the diff without enrolling anyone', async () => {
+  const run = await syncRoster(link._id, { dryRun: true });
+
+  assert.strictEqual(run.summary.added, 2);
+  assert.deepStrictEqual(enrolledIds(), [chen._id.toString()]);
+  assert.strictEqual(link.lastRosterSyncAt, null);
+});
+
+test('a second sync of the same link while one runs is refused', async () => {
+  link.syncLockedUntil = new Date(Date.now() + 60 * 1000);
+  await assert.rejects(syncRoster(link._id), LmsSyncBusyError);
+  assert.strictEqual(runs.length, 0);
+});
+
+test('grades need a roster sync first', async () => {
+  await assert.rejects(syncGrades(link._id), (error) => {
+    assert.strictEqual(error.name, 'LmsConfigError');
+    assert.strictEqual(error.run.status, 'failed');
+    return true;
+  });
+  assert.strictEqual(link.syncLockedUntil, null);
+});
+
+test('grades are pushed to the mock LMS once, then only when they change', async () => {
+  await syncRoster(link._id);
+  counts.set(asha._id.toString(), { present: 3, late: 0, absent: 1, excused: 0 });
+
+  const first = await syncGrades(link._id);
+  assert.deepStrictEqual(first.summary, { pushed: 1, unchanged: 0, skipped: 1, failed: 0 });
+  assert.deepStrictEqual(first.diff.skipped.map(entry => [entry.externalId, entry.reason]), [
+    ['u2', 'No attendance recorded yet']
+  ]);
+
+  const course = getMockCourse('CS101');
+  assert.strictEqual(course.lineItems.length, 1);
+  assert.strictEqual(link.lineItemId, course.lineItems[0].id);
+  const score = course.scores.get(`${link.lineItemId}|u1`);
+  assert.strictEqual(score.scoreGiven, 75);
+  assert.strictEqual(score.scoreMaximum, 100);
+  assert.strictEqual(link.members[0].pushedPercentage, 75);
+
+  const second = await syncGrades(link._id);
+  assert.deepStrictEqual(second.summary, { pushed: 0, unchanged: 1, skipped: 1, failed: 0 });
+
+  counts.set(asha._id.toString(), { present: 4, late: 0, absent: 1, excused: 0 });
+  const third = await syncGrades(link._id);
+  assert.deepStrictEqual(third.diff.pushed.map(entry => [entry.from, entry.to]), [[75, 80]]);
+  assert.strictEqual(course.lineItems.length, 1);
+  assert.strictEqual(course.scores.get(`${link.lineItemId}|u1`).scoreGiven, 80);
+});
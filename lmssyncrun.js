@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One roster or grade sync of a course link and what it changed
+const lmsSyncRunSchema = new mongoose.Schema({
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LmsCourseLink',
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['roster', 'grades'],
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  // Dry runs report the diff without applying it
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Counts per change type, e.g. { added: 2, removed: 1, unmatched: 0, unchanged: 40 }
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The changes themselves, per change type
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+lmsSyncRunSchema.index({ classroom: 1, createdAt: -1 });
+lmsSyncRunSchema.index({ link: 1, kind: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LmsSyncRun', lmsSyncRunSchema);
@@ -0,0 +1,44 @@
+// In-process stand-in for the handful of Redis commands the rate-limit
+// store uses (node-redis v4 names). Lets the Redis store run in development
+// and tests without a server; not shared between processes.
+const createLocalRedisClient = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const add = (key, amount) => {
+    const entry = live(key) || { value: 0, expiresAt: null };
+    entry.value += amount;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  return {
+    incr: async (key) => add(key, 1),
+    decr: async (key) => add(key, -1),
+    del: async (key) => (entries.delete(key) ? 1 : 0),
+    pExpire: async (key, ms) => {
+      const entry = live(key);
+      if (!entry) return false;
+      entry.expiresAt = Date.now() + ms;
+      return true;
+    },
+    // -2 when the key doesn't exist, -1 when it has no expiry
+    pTTL: async (key) => {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    }
+  };
+};
+
+module.exports = {
+  createLocalRedisClient
+};
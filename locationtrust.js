@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { haversineDistance, geofenceRadius } = require('./geofence');
+
+// Fastest plausible travel between two marks (~180 km/h)
+const MAX_TRAVEL_SPEED = 50; // meters per second
+
+// Marks further apart in time than this are not compared for travel speed
+const TRAVEL_LOOKBACK_MS = 6 * 60 * 60 * 1000;
+
+// Penalties subtracted from a starting score of 1. Each implausible reading
+// on its own must take the score below the default minLocationTrust (0.5);
+// the margin and missing-accuracy checks only lower it.
+const PENALTIES = {
+  MOCK_LOCATION: 1,
+  IMPOSSIBLE_TRAVEL: 0.6,
+  DUPLICATE_COORDINATES: 0.6,
+  ZERO_ACCURACY: 0.6,
+  ACCURACY_EXCEEDS_GEOFENCE: 0.6,
+  ACCURACY_EXCEEDS_MARGIN: 0.3,
+  ACCURACY_MISSING: 0.1
+};
+
+// Accuracy checks: is the reported uncertainty small enough to trust the geofence result?
+const checkAccuracy = ({ accuracy }, geofence, location) => {
+  if (accuracy == null) {
+    return [{ code: 'ACCURACY_MISSING', message: 'Device did not report location accuracy' }];
+  }
+
+  if (accuracy === 0) {
+    return [{ code: 'ZERO_ACCURACY', message: 'Reported accuracy of 0 m is not physically possible' }];
+  }
+
+  // The uncertainty should fit inside the fence: a circle's radius, or the
+  // equivalent radius of a polygon's bounding box
+  const fenceSize = location.geofence && location.geofence.type
+    ? geofenceRadius(location.geofence)
+    : location.radius;
+  if (fenceSize && accuracy > fenceSize) {
+    return [{
+      code: 'ACCURACY_EXCEEDS_GEOFENCE',
+      message: `Reported accuracy of ${Math.round(accuracy)} m is larger than the geofence`
+    }];
+  }
+
+  if (geofence.inside && accuracy > geofence.distanceToEdge) {
+    return [{
+      code: 'ACCURACY_EXCEEDS_MARGIN',
+      message: `Reading is ${Math.round(geofence.distanceToEdge)} m inside the geofence with ${Math.round(accuracy)} m accuracy`
+    }];
+  }
+
+  return [];
+};
+
+// Another student in the same session reporting exactly the same coordinates
+const checkDuplicateCoordinates = async (attendance) => {
+  const Attendance = mongoose.model('Attendance');
+  const duplicate = await Attendance.exists({
+    session: attendance.session,
+    student: { $ne: attendance.student },
+    'location.latitude': attendance.location.latitude,
+    'location.longitude': attendance.location.longitude
+  });
+
+  return duplicate
+    ? [{ code: 'DUPLICATE_COORDINATES', message: 'Identical coordinates were reported by another student' }]
+    : [];
+};
+
+// Speed needed to get here from the student's previous mark
+const checkTravelSpeed = async (attendance, markedAt) => {
+  const Attendance = mongoose.model('Attendance');
+  const previous = await Attendance.findOne({
+    student: attendance.student,
+    _id: { $ne: attendance._id },
+    'location.latitude': { $ne: null },
+    markedAt: { $lt: markedAt, $gte: new Date(markedAt.getTime() - TRAVEL_LOOKBACK_MS) }
+  }).sort({ markedAt: -1 }).select('location markedAt');
+
+  if (!previous) {
+    return [];
+  }
+
+  const distance = haversineDistance(
+    previous.location.latitude,
+    previous.location.longitude,
+    attendance.location.latitude,
+    attendance.location.longitude
+  );
+  const seconds = Math.max((markedAt - previous.markedAt) / 1000, 1);
+  const speed = distance / seconds;
+
+  return speed > MAX_TRAVEL_SPEED
+    ? [{
+      code: 'IMPOSSIBLE_TRAVEL',
+      message: `Moved ${Math.round(distance)} m in ${Math.round(seconds)} s since the previous mark`
+    }]
+    : [];
+};
+
+// Signals the client app reports from the OS (Android mock provider, etc.)
+const checkClientSignals = (signals = {}) => {
+  if (signals.mocked || ['mock', 'test'].includes(signals.provider)) {
+    return [{ code: 'MOCK_LOCATION', message: 'Device reported a mock location provider' }];
+  }
+  return [];
+};
+
+// Work out how far to trust a mark's location
+// Returns { score, reasons } with score between 0 and 1
+const evaluateLocationTrust = async ({ attendance, location, geofence, signals }) => {
+  const markedAt = attendance.markedAt || new Date();
+
+  const reasons = [
+    ...checkClientSignals(signals),
+    ...checkAccuracy(attendance.location, geofence, location),
+    ...await checkDuplicateCoordinates(attendance),
+    ...await checkTravelSpeed(attendance, markedAt)
+  ];
+
+  const penalty = reasons.reduce((sum, reason) => sum + PENALTIES[reason.code], 0);
+  const score = Math.max(0, Math.round((1 - penalty) * 100) / 100);
+
+  return { score, reasons };
+};
+
+// What a session does with a mark, given its trust score
+// Returns 'accepted', or the session's lowTrustAction ('reject', 'review' or 'flag')
+const resolveTrustOutcome = (score, settings) => {
+  return score >= settings.minLocationTrust ? 'accepted' : settings.lowTrustAction;
+};
+
+module.exports = {
+  evaluateLocationTrust,
+  resolveTrustOutcome,
+  MAX_TRAVEL_SPEED
+};
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { evaluateLocationTrust, resolveTrustOutcome } = require('./locationtrust');
+
+// Stand-in for the Attendance queries the duplicate and travel checks make
+const Attendance = mongoose.model('Attendance', new mongoose.Schema({}));
+let duplicate = false;
+let previous = null;
+Attendance.exists = async () => duplicate;
+Attendance.findOne = () => ({ sort: () => ({ select: async () => previous }) });
+
+const defaults = { minLocationTrust: 0.5, lowTrustAction: 'review' };
+const circle = { coordinates: { latitude: 12.9716, longitude: 77.5946 }, radius: 100 };
+
+// About 200 m square around the same centre
+const square = {
+  coordinates: { latitude: 12.9716, longitude: 77.5946 },
+  geofence: {
+    type: 'Polygon',
+    coordinates: [[
+      [77.5937, 12.9707],
+      [77.5955, 12.9707],
+      [77.5955, 12.9725],
+      [77.5937, 12.9725],
+      [77.5937, 12.9707]
+    ]]
+  }
+};
+
+const evaluate = (location, geofence = { inside: true, distanceToEdge: 60 }, signals = {}, fence = circle) => evaluateLocationTrust({
+  attendance: {
+    _id: new mongoose.Types.ObjectId(),
+    session: new mongoose.Types.ObjectId(),
+    student: new mongoose.Types.ObjectId(),
+    markedAt: new Date('2024-01-15T09:05:00Z'),
+    location: { latitude: 12.9716, longitude: 77.5946, ...location }
+  },
+  location: fence,
+  geofence,
+  signals
+});
+
+test.beforeEach(() => {
+  duplicate = false;
+  previous = null;
+});
+
+test('a good reading is accepted', async () => {
+  const { score, reasons } = await evaluate({ accuracy: 10 });
+  assert.strictEqual(score, 1);
+  assert.deepStrictEqual(reasons, []);
+  assert.strictEqual(resolveTrustOutcome(score, defaults), 'accepted');
+});
+
+test('900 m accuracy on a 100 m fence is not accepted', async () => {
+  const { score, reasons } = await evaluate({ accuracy: 900 });
+  assert.deepStrictEqual(reasons.map(reason => reason.code), ['ACCURACY_EXCEEDS_GEOFENCE']);
+  assert.ok(score < defaults.minLocationTrust);
+  assert.strictEqual(resolveTrustOutcome(score, defaults), 'review');
+});
+
+test('zero accuracy alone is not accepted', async () => {
+  const { score, reasons } = await evaluate({ accuracy: 0 });
+  assert.deepStrictEqual(reasons.map(reason => reason.code), ['ZERO_ACCURACY']);
+  assert.strictEqual(resolveTrustOutcome(score, defaults), 'review');
+});
+
+test('duplicate coordinates alone are not accepted', async () => {
+  duplicate = true;
+  const { score, reasons } = await evaluate({ accuracy: 10 });
+  assert.deepStrictEqual(reasons.map(reason => reason.code), ['DUPLICATE_COORDINATES']);
+  assert.strictEqual(resolveTrustOutcome(score, defaults), 'review');
+});
+
+test('impossible travel alone is not accepted', async () => {
+  previous = {
+    location: { latitude: 28.6139, longitude: 77.209 },
+    markedAt: new Date('2024-01-15T08:55:00Z')
+  };
+  const { score, reasons } = await evaluate({ accuracy: 10 });
+  assert.deepStrictEqual(reasons.map(reason => reason.code), ['IMPOSSIBLE_TRAVEL']);
+  assert.strictEqual(resolveTrustOutcome(score, defaults), 'review');
+});
+
+test('a mock location scores zero', async () => {
+  const { score } = await evaluate({ accuracy: 10 }, undefined, { mocked: true });
+  assert.strictEqual(score, 0);
+  assert.strictEqual(resolveTrustOutcome(score, { ...defaults, lowTrustAction: 'reject' }), 'reject');
+});
+
+test('a reading near the edge or without accuracy only lowers the score', async () => {
+  const margin = await evaluate({ accuracy: 80 }, { inside: true, distanceToEdge: 20 });
+  assert.deepStrictEqual(margin.reasons.map(reason => reason.code), ['ACCURACY_EXCEEDS_MARGIN']);
+  assert.strictEqual(resolveTrustOutcome(margin.score, defaults), 'accepted');
+
+  const missing = await evaluate({});
+  assert.deepStrictEqual(missing.reasons.map(reason => reason.code), ['ACCURACY_MISSING']);
+  assert.strictEqual(resolveTrustOutcome(missing.score, defaults), 'accepted');
+});
+
+test('a polygon is sized by its extent, not the distance to its nearest edge', async () => {
+  const nearEdge = await evaluate({ accuracy: 60 }, { inside: true, distanceToEdge: 5 }, {}, square);
+  assert.deepStrictEqual(nearEdge.reasons.map(reason => reason.code), ['ACCURACY_EXCEEDS_MARGIN']);
+  assert.strictEqual(resolveTrustOutcome(nearEdge.score, defaults), 'accepted');
+
+  const coarse = await evaluate({ accuracy: 900 }, { inside: true, distanceToEdge: 90 }, {}, square);
+  assert.deepStrictEqual(coarse.reasons.map(reason => reason.code), ['ACCURACY_EXCEEDS_GEOFENCE']);
+  assert.strictEqual(resolveTrustOutcome(coarse.score, defaults), 'review');
+});
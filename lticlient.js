@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// LTI Advantage service scopes used by the roster and grade syncs
+const LTI_SCOPES = {
+  memberships: 'https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly',
+  lineItems: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  scores: 'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+};
+
+const getTimeoutMs = () => parseInt(process.env.LTI_TIMEOUT_MS, 10) || 15 * 1000;
+
+// Raised when the platform rejects a request or can't be reached
+class LtiServiceError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'LtiServiceError';
+    this.status = status;
+  }
+}
+
+// The tool's RSA key pair. LTI_TOOL_PRIVATE_KEY holds the PEM (newlines may
+// be written as \n); the key id defaults to a hash of the public key.
+const getToolKey = () => {
+  const pem = (process.env.LTI_TOOL_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  if (!pem.trim()) {
+    throw new LtiServiceError('LTI_TOOL_PRIVATE_KEY is not configured');
+  }
+
+  const privateKey = crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const kid = process.env.LTI_TOOL_KEY_ID ||
+    crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').slice(0, 16);
+
+  return { privateKey, publicKey, kid };
+};
+
+// JWKS platforms fetch to verify the tool's client assertions
+const getToolJwks = () => {
+  const { publicKey, kid } = getToolKey();
+  return {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+  };
+};
+
+const request = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(getTimeoutMs()) });
+  } catch (error) {
+    throw new LtiServiceError(
+      error.name === 'TimeoutError' ? `Request to ${url} timed out` : `Request to ${url} failed: ${error.message}`
+    );
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new LtiServiceError(`${options.method || 'GET'} ${url} returned ${response.status}: ${text.slice(0, 200)}`, response.status);
+  }
+  return response;
+};
+
+// Service tokens by platform and scope, reused until shortly before expiry
+const tokenCache = new Map();
+
+// OAuth2 client-credentials token for LTI services, authenticated with a
+// JWT client assertion signed by the tool key
+const getServiceToken = async (platform, scope) => {
+  const cacheKey = `${platform._id}|${scope}`;
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const { privateKey, kid } = getToolKey();
+  const assertion = jwt.sign({}, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: platform.clientId,
+    subject: platform.clientId,
+    audience: platform.authServer || platform.authTokenUrl,
+    expiresIn: '5m',
+    jwtid: crypto.randomUUID()
+  });
+
+  const response = await request(platform.authTokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion,
+      scope
+    }).toString()
+  });
+  const body = await response.json();
+  if (!body.access_token) {
+    throw new LtiServiceError('Token endpoint returned no access_token');
+  }
+
+  const lifetimeSeconds = body.expires_in || 3600;
+  tokenCache.set(cacheKey, {
+    token: body.access_token,
+    expiresAt: Date.now() + Math.max(lifetimeSeconds - 60, 0) * 1000
+  });
+  return body.access_token;
+};
+
+// URL of the `rel="next"` page from a Link header, if any
+const nextPageUrl = (linkHeader) => {
+  const match = (linkHeader || '').match(/<([^>]+)>\s*;\s*rel="?next"?/);
+  return match ? match[1] : null;
+};
+
+// Every member of a course from its Names and Role Provisioning Services
+// endpoint, following pagination. Resolves to { context, members }.
+const fetchMemberships = async (platform, membershipsUrl) => {
+  const token = await getServiceToken(platform, LTI_SCOPES.memberships);
+  const members = [];
+  let context = null;
+  let url = membershipsUrl;
+
+  while (url) {
+    const response = await request(url, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'application/vnd.ims.lti-nrps.v2.membershipcontainer+json'
+      }
+    });
+    const body = await response.json();
+    context = context || body.context || null;
+    members.push(...(body.members || []));
+    url = nextPageUrl(response.headers.get('link'));
+  }
+
+  return { context, members };
+};
+
+// Find the line item for `resourceId`, or create it. Resolves to its URL,
+// which the platform uses as the line item id.
+const ensureLineItem = async (platform, lineItemsUrl, { label, resourceId, scoreMaximum }) => {
+  const token = await getServiceToken(platform, LTI_SCOPES.lineItems);
+
+  const searchUrl = new URL(lineItemsUrl);
+  searchUrl.searchParams.set('resource_id', resourceId);
+  const existing = await (await request(searchUrl.toString(), {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/vnd.ims.lis.v2.lineitemcontainer+json'
+    }
+  })).json();
+
+  const match = Array.isArray(existing) && existing.find(item => item.resourceId === resourceId);
+  if (match) {
+    return match.id;
+  }
+
+  const created = await (await request(lineItemsUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json',
+      Accept: 'application/vnd.ims.lis.v2.lineitem+json'
+    },
+    body: JSON.stringify({ label, resourceId, scoreMaximum, tag: 'attendance' })
+  })).json();
+
+  if (!created.id) {
+    throw new LtiServiceError('Platform did not return the new line item id');
+  }
+  return created.id;
+};
+
+// Publish one score to a line item. Scores are last-write-wins by
+// timestamp, so sending the same grade again is harmless.
+const postScore = async (platform, lineItemId, score) => {
+  const token = await getServiceToken(platform, LTI_SCOPES.scores);
+
+  // The scores endpoint is the line item URL plus /scores, before any query
+  const url = new URL(lineItemId);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+
+  await request(url.toString(), {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/vnd.ims.lis.v1.score+json'
+    },
+    body: JSON.stringify(score)
+  });
+};
+
+module.exports = {
+  LTI_SCOPES,
+  LtiServiceError,
+  getToolJwks,
+  getServiceToken,
+  fetchMemberships,
+  ensureLineItem,
+  postScore
+};
@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./emailTemplates');
+
+let transporter = null;
+
+// SMTP when EMAIL_HOST is configured; otherwise a JSON transport that
+// builds the message without sending it, so everything works offline
+const createTransporter = () => {
+  if (!process.env.EMAIL_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+
+// Swap the transport (e.g. a stub or stream transport in tests)
+const setTransport = (transport) => {
+  transporter = transport && typeof transport.sendMail === 'function'
+    ? transport
+    : nodemailer.createTransport(transport);
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+// Send an email
+const sendMail = ({ to, subject, html, text }) => {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+};
+
+// Render a named template (see emailTemplates) and send it
+const sendTemplate = (name, to, data) => {
+  const { subject, html, text } = renderTemplate(name, data);
+  return sendMail({ to, subject, html, text });
+};
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  setTransport
+};
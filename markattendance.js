@@ -0,0 +1,204 @@
+const Attendance = require('../models/Attendance');
+const { evaluateLocationTrust, resolveTrustOutcome } = require('./locationTrust');
+const { getUnverifiedPolicy } = require('./accountVerification');
+
+// Shared tail of every student self-mark flow (QR, OTP, face, offline):
+// duplicate check, geofence and location trust, then save and broadcast.
+// `offline` is { keyId, capturedAt, submittedAt } for marks captured offline;
+// they are dated at capture and may replace the automatic absence that was
+// recorded while the student had no connection.
+// Resolves to { attendance } or { error: { status, body } } for the route to send.
+const recordSelfMark = async ({ req, io, session, location, verification, notes, status = 'present', offline = null }) => {
+  if (!req.user.isVerified && getUnverifiedPolicy() !== 'allow') {
+    return {
+      error: {
+        status: 403,
+        body: {
+          message: 'Verify your email before marking attendance',
+          code: 'EMAIL_NOT_VERIFIED'
+        }
+      }
+    };
+  }
+
+  const existingAttendance = await Attendance.findOne({
+    session: session._id,
+    student: req.user._id
+  });
+
+  const replacesAutoAbsence = Boolean(offline && existingAttendance &&
+    existingAttendance.markedBy === 'system' && existingAttendance.status === 'absent' && !existingAttendance.isEdited);
+
+  if (existingAttendance && !replacesAutoAbsence) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          message: 'Attendance already marked for this session',
+          code: 'ATTENDANCE_ALREADY_MARKED'
+        }
+      }
+    };
+  }
+
+  // Only the face verification flow sets biometricVerified
+  if (session.settings.requireBiometric && !verification.biometricVerified) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          message: 'Face verification is required for this session',
+          code: 'BIOMETRIC_REQUIRED'
+        }
+      }
+    };
+  }
+
+  const fields = {
+    status,
+    location: location ? {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy,
+      address: location.address
+    } : {},
+    verification: {
+      ...verification,
+      deviceInfo: {
+        userAgent: req.headers['user-agent'],
+        platform: req.headers['sec-ch-ua-platform'] || 'unknown',
+        ipAddress: req.ip || req.connection.remoteAddress
+      },
+      ...(offline ? { offline } : {})
+    },
+    notes,
+    markedBy: 'student',
+    offline: Boolean(offline),
+    ...(offline ? { markedAt: offline.capturedAt } : {})
+  };
+
+  let attendance;
+  if (replacesAutoAbsence) {
+    attendance = existingAttendance.set(fields);
+    attendance.setAuditContext({
+      actor: req.user._id,
+      actorRole: 'student',
+      reason: 'Offline attendance replaced the automatic absence'
+    });
+  } else {
+    attendance = new Attendance({
+      classroom: session.classroom,
+      student: req.user._id,
+      teacher: session.teacher,
+      session: session._id,
+      ...fields
+    });
+  }
+
+  // Verify location if required
+  if (session.settings.requireLocation) {
+    if (!location) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            message: 'Location is required for this session',
+            code: 'LOCATION_REQUIRED'
+          }
+        }
+      };
+    }
+
+    const geofence = attendance.evaluateGeofence(session.location);
+
+    if (!geofence.inside) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            message: 'You are not within the allowed location for attendance',
+            code: 'LOCATION_NOT_ALLOWED',
+            shape: geofence.shape,
+            distanceToEdge: Math.round(geofence.distanceToEdge)
+          }
+        }
+      };
+    }
+
+    attendance.location.isWithinGeofence = true;
+
+    const trust = await evaluateLocationTrust({
+      attendance,
+      location: session.location,
+      geofence,
+      signals: { mocked: location.mocked, provider: location.provider }
+    });
+    const outcome = resolveTrustOutcome(trust.score, session.settings);
+
+    if (outcome === 'reject') {
+      return {
+        error: {
+          status: 400,
+          body: {
+            message: 'Your location could not be trusted for attendance',
+            code: 'LOCATION_NOT_TRUSTED',
+            trustScore: trust.score,
+            reasons: trust.reasons
+          }
+        }
+      };
+    }
+
+    attendance.location.trust = {
+      ...trust,
+      outcome: outcome === 'flag' ? 'flagged' : outcome,
+      evaluatedAt: new Date()
+    };
+    if (outcome === 'review') {
+      attendance.reviewStatus = 'pending';
+    }
+  }
+
+  await attendance.save();
+
+  // Add attendance to session
+  if (!replacesAutoAbsence) {
+    session.attendance.push(attendance._id);
+    await session.save();
+  }
+
+  // Update session statistics
+  await session.updateStatistics();
+
+  // Emit real-time update
+  io.to(`classroom-${session.classroom}`).emit('attendance-update', {
+    studentId: req.user._id,
+    studentName: req.user.fullName,
+    status: attendance.status,
+    reviewStatus: attendance.reviewStatus,
+    markedAt: attendance.markedAt,
+    offline: attendance.offline,
+    sessionId: session._id
+  });
+
+  return { attendance };
+};
+
+// Response body for a successful mark
+const formatMarkResponse = (attendance) => ({
+  message: 'Attendance marked successfully',
+  attendance: {
+    id: attendance._id,
+    status: attendance.status,
+    reviewStatus: attendance.reviewStatus,
+    markedAt: attendance.markedAt,
+    offline: attendance.offline,
+    location: attendance.location,
+    verification: attendance.verification
+  }
+});
+
+module.exports = {
+  recordSelfMark,
+  formatMarkResponse
+};
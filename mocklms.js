@@ -0,0 +1,63 @@
+// In-memory LMS for development and tests. Courses are seeded from code;
+// members use the LTI Names and Role Provisioning Services shape, so they go
+// through the same handling as a real platform's.
+//
+//   seedMockCourse('CS101', {
+//     title: 'Data Structures',
+//     members: [{ user_id: 'u1', email: 'a@example.edu', given_name: 'Asha', family_name: 'Rao', roles: ['Learner'] }]
+//   });
+
+const courses = new Map();
+
+const seedMockCourse = (courseId, { title = courseId, members = [] } = {}) => {
+  const course = { title, members, lineItems: [], scores: new Map() };
+  courses.set(courseId, course);
+  return course;
+};
+
+const getMockCourse = (courseId) => courses.get(courseId) || null;
+
+const resetMockLms = () => {
+  courses.clear();
+};
+
+const getCourse = (link) => {
+  const course = courses.get(link.courseId);
+  if (!course) {
+    throw new Error(`Mock course ${link.courseId} does not exist`);
+  }
+  return course;
+};
+
+// Provider interface (see utils/lmsProviders)
+const mockProvider = {
+  fetchMembers: async (link) => {
+    const course = getCourse(link);
+    return { courseTitle: course.title, members: course.members };
+  },
+
+  ensureLineItem: async (link, { label, resourceId, scoreMaximum }) => {
+    const course = getCourse(link);
+    let lineItem = course.lineItems.find(item => item.resourceId === resourceId);
+    if (!lineItem) {
+      lineItem = { id: `mock://${link.courseId}/lineitems/${course.lineItems.length + 1}`, label, resourceId, scoreMaximum };
+      course.lineItems.push(lineItem);
+    }
+    return lineItem.id;
+  },
+
+  postScore: async (link, lineItemId, score) => {
+    const course = getCourse(link);
+    if (!course.lineItems.some(item => item.id === lineItemId)) {
+      throw new Error(`Mock line item ${lineItemId} does not exist`);
+    }
+    course.scores.set(`${lineItemId}|${score.userId}`, score);
+  }
+};
+
+module.exports = {
+  seedMockCourse,
+  getMockCourse,
+  resetMockLms,
+  mockProvider
+};
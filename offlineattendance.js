@@ -0,0 +1,286 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const DeviceKey = require('../models/DeviceKey');
+const { authenticateToken, requireRole, rateLimitByUser } = require('../middleware/auth');
+const { recordOfflineMark } = require('../utils/offlineMark');
+const { formatMarkResponse } = require('../utils/markAttendance');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Submissions a device may send in one request after reconnecting
+const MAX_SUBMISSIONS = 20;
+
+// Validation schemas
+const registerDeviceSchema = Joi.object({
+  // JWK object or SPKI PEM string
+  publicKey: Joi.alternatives().try(Joi.object(), Joi.string().max(1000)).required(),
+  deviceName: Joi.string().max(100).optional()
+});
+
+const submitSchema = Joi.object({
+  submissions: Joi.array().items(Joi.object({
+    keyId: Joi.string().max(100).required(),
+    payload: Joi.string().max(4000).required(),
+    signature: Joi.string().max(200).required()
+  })).min(1).max(MAX_SUBMISSIONS).required()
+});
+
+const sessionSettingsSchema = Joi.object({
+  allowOfflineMarking: Joi.boolean().optional(),
+  offlineSubmissionHours: Joi.number().integer().min(1).max(168).optional()
+}).min(1);
+
+const formatDeviceKey = (deviceKey) => ({
+  keyId: deviceKey.keyId,
+  algorithm: deviceKey.algorithm,
+  deviceName: deviceKey.deviceName,
+  lastUsedAt: deviceKey.lastUsedAt,
+  createdAt: deviceKey.createdAt
+});
+
+// Load :sessionId and check the user holds `permission` in its classroom
+const loadSession = (permission) => async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+      ? await AttendanceSession.findById(sessionId)
+      : null;
+    if (!session) {
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom || !hasClassroomPermission(req.user, permission, classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this session',
+        code: 'SESSION_ACCESS_DENIED'
+      });
+    }
+
+    req.attendanceSession = session;
+    next();
+  } catch (error) {
+    console.error('Load attendance session error:', error);
+    res.status(500).json({
+      message: 'Failed to load attendance session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Register this device's public key; do it while online, before class
+router.post('/devices', authenticateToken, requireRole('student'), async (req, res) => {
+  try {
+    const { error, value } = registerDeviceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const parsed = DeviceKey.parsePublicKey(value.publicKey);
+    if (parsed.error) {
+      return res.status(400).json({
+        message: parsed.error,
+        code: 'INVALID_PUBLIC_KEY'
+      });
+    }
+
+    // Registering the same key again is a no-op
+    const existing = await DeviceKey.findOne({ keyId: parsed.keyId });
+    if (existing) {
+      if (!existing.user.equals(req.user._id) || !existing.isActive()) {
+        return res.status(409).json({
+          message: 'This key cannot be registered',
+          code: 'DEVICE_KEY_UNAVAILABLE'
+        });
+      }
+      return res.json({
+        message: 'Device key already registered',
+        deviceKey: formatDeviceKey(existing)
+      });
+    }
+
+    const active = await DeviceKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (active >= DeviceKey.MAX_DEVICE_KEYS) {
+      return res.status(409).json({
+        message: `You can register up to ${DeviceKey.MAX_DEVICE_KEYS} devices; remove one first`,
+        code: 'TOO_MANY_DEVICE_KEYS'
+      });
+    }
+
+    const deviceKey = await DeviceKey.create({
+      user: req.user._id,
+      keyId: parsed.keyId,
+      publicKey: parsed.publicKey,
+      deviceName: value.deviceName || null,
+      userAgent: req.headers['user-agent'] || null
+    });
+
+    res.status(201).json({
+      message: 'Device key registered',
+      deviceKey: formatDeviceKey(deviceKey)
+    });
+
+  } catch (error) {
+    console.error('Register device key error:', error);
+    res.status(500).json({
+      message: 'Failed to register device key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Own registered device keys
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const deviceKeys = await DeviceKey.listActive(req.user._id);
+    res.json({ deviceKeys: deviceKeys.map(formatDeviceKey) });
+
+  } catch (error) {
+    console.error('List device keys error:', error);
+    res.status(500).json({
+      message: 'Failed to list device keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Revoke a device key, e.g. for a lost phone; its pending captures are refused
+router.delete('/devices/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const deviceKey = await DeviceKey.findOne({ keyId: req.params.keyId, user: req.user._id, revokedAt: null });
+    if (!deviceKey) {
+      return res.status(404).json({
+        message: 'Device key not found',
+        code: 'DEVICE_KEY_NOT_FOUND'
+      });
+    }
+
+    await deviceKey.revoke();
+    res.json({ message: 'Device key revoked' });
+
+  } catch (error) {
+    console.error('Revoke device key error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke device key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Submit attendance captured offline. Each submission is checked and
+// recorded on its own; the response has one result per submission.
+router.post('/submit', authenticateToken, requireRole('student'), rateLimitByUser(5, 60 * 1000), async (req, res) => {
+  try {
+    const { error, value } = submitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const now = new Date();
+    const results = [];
+    for (const [index, submission] of value.submissions.entries()) {
+      const { attendance, error: markError } = await recordOfflineMark({ req, io, submission, now });
+      results.push(markError
+        ? { index, recorded: false, statusCode: markError.status, ...markError.body }
+        : { index, recorded: true, ...formatMarkResponse(attendance) });
+    }
+
+    const recorded = results.filter(result => result.recorded).length;
+    res.json({
+      message: `${recorded} of ${results.length} offline submission(s) recorded`,
+      recorded,
+      rejected: results.length - recorded,
+      results
+    });
+
+  } catch (error) {
+    console.error('Offline attendance submit error:', error);
+    res.status(500).json({
+      message: 'Failed to submit offline attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Offline marks of a session, for the teacher to look over
+router.get('/sessions/:sessionId', authenticateToken, loadSession('attendance:view'), async (req, res) => {
+  try {
+    const records = await Attendance.find({ session: req.attendanceSession._id, offline: true })
+      .populate('student', 'firstName lastName email studentId')
+      .sort({ markedAt: 1 });
+
+    res.json({
+      settings: {
+        allowOfflineMarking: req.attendanceSession.settings.allowOfflineMarking,
+        offlineSubmissionHours: req.attendanceSession.settings.offlineSubmissionHours
+      },
+      attendance: records.map(record => ({
+        id: record._id,
+        student: record.student,
+        status: record.status,
+        reviewStatus: record.reviewStatus,
+        capturedAt: record.verification.offline.capturedAt,
+        submittedAt: record.verification.offline.submittedAt,
+        keyId: record.verification.offline.keyId,
+        location: record.location
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get offline attendance error:', error);
+    res.status(500).json({
+      message: 'Failed to get offline attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn offline marking on or off for a session, or change its deadline
+router.put('/sessions/:sessionId/settings', authenticateToken, loadSession('sessions:run'), async (req, res) => {
+  try {
+    const { error, value } = sessionSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    Object.entries(value).forEach(([field, setting]) => {
+      req.attendanceSession.settings[field] = setting;
+    });
+    await req.attendanceSession.save();
+
+    res.json({
+      message: 'Offline marking settings updated',
+      settings: {
+        allowOfflineMarking: req.attendanceSession.settings.allowOfflineMarking,
+        offlineSubmissionHours: req.attendanceSession.settings.offlineSubmissionHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Update offline settings error:', error);
+    res.status(500).json({
+      message: 'Failed to update offline marking settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
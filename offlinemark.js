@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const DeviceKey = require('../models/DeviceKey');
+const { recordSelfMark } = require('./markAttendance');
+
+// Offline marking. While the attendance window is open the app captures the
+// time and location and signs them with its device key; once it is back
+// online it submits
+//
+//   { keyId, payload, signature }
+//
+// where `payload` is the base64url of
+//
+//   { v: 1, sessionId, studentId, capturedAt, location: { latitude, longitude, accuracy, mocked, provider }, notes }
+//
+// and `signature` is the base64url ECDSA P-256 / SHA-256 signature (raw r||s
+// as WebCrypto produces, or DER) over the `payload` string exactly as sent.
+
+const PAYLOAD_VERSION = 1;
+
+// Device clocks drift while they have no network to sync with
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const payloadSchema = Joi.object({
+  v: Joi.number().valid(PAYLOAD_VERSION).required(),
+  sessionId: Joi.string().hex().length(24).required(),
+  studentId: Joi.string().hex().length(24).required(),
+  capturedAt: Joi.date().iso().required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0).optional(),
+    address: Joi.string().optional(),
+    mocked: Joi.boolean().optional(),
+    provider: Joi.string().max(50).optional()
+  }).required(),
+  notes: Joi.string().max(500).optional()
+}).unknown(true);
+
+const reject = (status, message, code, extra = {}) => ({
+  error: { status, body: { message, code, ...extra } }
+});
+
+// Check a signature over the payload string with a device's public key
+const verifyDeviceSignature = (publicKey, payload, signature) => {
+  const bytes = Buffer.from(signature, 'base64url');
+  try {
+    return crypto.verify('sha256', Buffer.from(payload), {
+      key: publicKey,
+      // 64 bytes is the raw r||s form; anything else should be DER
+      dsaEncoding: bytes.length === 64 ? 'ieee-p1363' : 'der'
+    }, bytes);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Decode and validate a signed payload. Returns { capture } or { error }.
+const decodePayload = (payload) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return reject(400, 'Payload is not valid base64url JSON', 'INVALID_PAYLOAD');
+  }
+
+  const { error, value } = payloadSchema.validate(decoded);
+  if (error) {
+    return reject(400, error.details[0].message, 'INVALID_PAYLOAD');
+  }
+  return { capture: value };
+};
+
+// Status for a capture time: present inside the attendance window, late
+// after it while the session runs (when the session allows late marks).
+// Returns { status } or { error }.
+const statusForCapture = (session, capturedAt) => {
+  const { start, end } = session.attendanceWindow;
+  const time = capturedAt.getTime();
+
+  if (time >= start.getTime() - CLOCK_SKEW_MS && time <= end.getTime() + CLOCK_SKEW_MS) {
+    return { status: 'present' };
+  }
+  if (session.settings.allowLateAttendance && time > end.getTime() && time <= session.endTime.getTime()) {
+    return { status: 'late' };
+  }
+  return reject(400, 'Attendance was captured outside the attendance window', 'CAPTURED_OUTSIDE_WINDOW', {
+    capturedAt,
+    windowStart: start,
+    windowEnd: end
+  });
+};
+
+// Verify and record one offline submission for the signed-in student.
+// Resolves to { attendance } or { error: { status, body } }, like recordSelfMark.
+const recordOfflineMark = async ({ req, io, submission, now = new Date() }) => {
+  const { keyId, payload, signature } = submission;
+
+  const deviceKey = await DeviceKey.findOne({ keyId });
+  if (!deviceKey || !deviceKey.user.equals(req.user._id)) {
+    return reject(400, 'Device key is not registered to you', 'DEVICE_KEY_UNKNOWN');
+  }
+  if (!deviceKey.isActive()) {
+    return reject(400, 'Device key has been revoked', 'DEVICE_KEY_REVOKED');
+  }
+  if (!verifyDeviceSignature(deviceKey.publicKey, payload, signature)) {
+    return reject(400, 'Signature does not match the payload', 'INVALID_SIGNATURE');
+  }
+
+  const { capture, error: payloadError } = decodePayload(payload);
+  if (payloadError) {
+    return { error: payloadError };
+  }
+
+  if (capture.studentId !== req.user._id.toString()) {
+    return reject(403, 'Payload was captured for another student', 'STUDENT_MISMATCH');
+  }
+
+  const { capturedAt } = capture;
+  if (capturedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return reject(400, 'Capture time is in the future', 'CAPTURED_IN_FUTURE');
+  }
+  // A key registered after the fact can't vouch for an earlier capture
+  if (capturedAt.getTime() < deviceKey.createdAt.getTime() - CLOCK_SKEW_MS) {
+    return reject(400, 'Attendance was captured before this device key was registered', 'DEVICE_KEY_TOO_NEW');
+  }
+
+  const session = await AttendanceSession.findById(capture.sessionId);
+  if (!session) {
+    return reject(404, 'Attendance session not found', 'SESSION_NOT_FOUND');
+  }
+  if (!session.settings.allowOfflineMarking) {
+    return reject(403, 'Offline marking is disabled for this session', 'OFFLINE_MARKING_DISABLED');
+  }
+  if (session.status !== 'active' && session.status !== 'completed') {
+    return reject(400, 'Attendance session is not open for attendance', 'INVALID_SESSION_STATUS');
+  }
+
+  const deadline = session.endTime.getTime() + session.settings.offlineSubmissionHours * 60 * 60 * 1000;
+  if (now.getTime() > deadline) {
+    return reject(400, 'Offline attendance for this session can no longer be submitted', 'OFFLINE_SUBMISSION_EXPIRED');
+  }
+
+  const classroom = await Classroom.findById(session.classroom).select('students');
+  if (!classroom || !classroom.students.some(id => id.equals(req.user._id))) {
+    return reject(403, 'You are not enrolled in this classroom', 'NOT_ENROLLED');
+  }
+
+  const { status, error: windowError } = statusForCapture(session, capturedAt);
+  if (windowError) {
+    return { error: windowError };
+  }
+
+  const result = await recordSelfMark({
+    req,
+    io,
+    session,
+    location: capture.location,
+    notes: capture.notes,
+    status,
+    verification: { method: 'location' },
+    offline: { keyId, capturedAt, submittedAt: now }
+  });
+
+  if (result.attendance) {
+    deviceKey.lastUsedAt = now;
+    await deviceKey.save();
+  }
+  return result;
+};
+
+module.exports = {
+  PAYLOAD_VERSION,
+  verifyDeviceSignature,
+  statusForCapture,
+  recordOfflineMark
+};
@@ -0,0 +1,251 @@
+const express = require('express');
+const Joi = require('joi');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const AttendanceOtp = require('../models/AttendanceOtp');
+const User = require('../models/User');
+const { authenticateToken, requireTeacherOrAdmin, rateLimitByUser } = require('../middleware/auth');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { deliverOtp, getChannelNames } = require('../utils/otpDelivery');
+const { recordSelfMark, formatMarkResponse } = require('../utils/markAttendance');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Validation schemas
+const markSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{4,8}$/).required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0).optional(),
+    address: Joi.string().optional(),
+    mocked: Joi.boolean().optional(),
+    provider: Joi.string().max(50).optional()
+  }).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+// Load a session with an open attendance window and its classroom
+const loadOpenSession = async (res, sessionId) => {
+  const session = await AttendanceSession.findById(sessionId);
+  if (!session) {
+    res.status(404).json({
+      message: 'Attendance session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+    return {};
+  }
+
+  if (!session.isAttendanceWindowOpen()) {
+    res.status(400).json({
+      message: 'Attendance window is closed',
+      code: 'ATTENDANCE_WINDOW_CLOSED'
+    });
+    return {};
+  }
+
+  const classroom = await Classroom.findById(session.classroom);
+  return { session, classroom };
+};
+
+// Issue and deliver a code to one student
+const issueToStudent = async (session, student, issuedBy) => {
+  const channel = session.settings.otpChannel;
+  const { otp, code } = await AttendanceOtp.issue(session, { student: student._id, channel, issuedBy });
+  const delivery = await deliverOtp(channel, { code, user: student, session, expiresAt: otp.expiresAt });
+  return { otp, delivery };
+};
+
+// Teacher issues codes: one on-screen code, or one per enrolled student
+router.post('/sessions/:sessionId/issue', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+  try {
+    const { session, classroom } = await loadOpenSession(res, req.params.sessionId);
+    if (!session) return;
+
+    if (!hasClassroomPermission(req.user, 'sessions:run', classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this session',
+        code: 'SESSION_ACCESS_DENIED'
+      });
+    }
+
+    if (!getChannelNames().includes(session.settings.otpChannel)) {
+      return res.status(400).json({
+        message: `Unknown OTP delivery channel: ${session.settings.otpChannel}`,
+        code: 'INVALID_OTP_CHANNEL'
+      });
+    }
+
+    if (session.settings.otpMode === 'student' && session.settings.otpChannel === 'screen') {
+      return res.status(400).json({
+        message: 'Per-student OTPs need a private channel (email or sms)',
+        code: 'OTP_CHANNEL_NOT_PRIVATE'
+      });
+    }
+
+    if (session.settings.otpMode === 'session') {
+      const { otp, code } = await AttendanceOtp.issue(session, {
+        channel: 'screen',
+        issuedBy: req.user._id
+      });
+
+      return res.status(201).json({
+        message: 'OTP issued',
+        mode: 'session',
+        code,
+        expiresAt: otp.expiresAt
+      });
+    }
+
+    const students = await User.find({ _id: { $in: classroom.students }, isActive: true });
+    const results = { delivered: 0, failed: [] };
+
+    for (const student of students) {
+      try {
+        await issueToStudent(session, student, req.user._id);
+        results.delivered++;
+      } catch (error) {
+        console.error('OTP delivery error:', error);
+        results.failed.push({ studentId: student._id, reason: error.message });
+      }
+    }
+
+    res.status(201).json({
+      message: 'OTPs issued',
+      mode: 'student',
+      channel: session.settings.otpChannel,
+      ...results
+    });
+
+  } catch (error) {
+    console.error('Issue OTP error:', error);
+    res.status(500).json({
+      message: 'Failed to issue OTP',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Student asks for their own code (per-student mode only)
+router.post('/sessions/:sessionId/request', authenticateToken, rateLimitByUser(3, 5 * 60 * 1000), async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        message: 'Only students can request an attendance OTP',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const { session, classroom } = await loadOpenSession(res, req.params.sessionId);
+    if (!session) return;
+
+    if (!classroom.students.includes(req.user._id)) {
+      return res.status(403).json({
+        message: 'You are not enrolled in this classroom',
+        code: 'NOT_ENROLLED'
+      });
+    }
+
+    if (session.settings.otpMode !== 'student') {
+      return res.status(400).json({
+        message: 'This session uses the code shown by your teacher',
+        code: 'OTP_MODE_SESSION'
+      });
+    }
+
+    // The code only counts as proof if it reaches the student privately
+    if (session.settings.otpChannel === 'screen') {
+      return res.status(400).json({
+        message: 'Per-student OTPs need a private channel (email or sms)',
+        code: 'OTP_CHANNEL_NOT_PRIVATE'
+      });
+    }
+
+    const { otp } = await issueToStudent(session, req.user, req.user._id);
+
+    res.status(201).json({
+      message: 'OTP sent',
+      channel: otp.channel,
+      expiresAt: otp.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Request OTP error:', error);
+    res.status(500).json({
+      message: 'Failed to send OTP',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mark attendance with a code
+router.post('/sessions/:sessionId/mark', authenticateToken, rateLimitByUser(10, 60 * 1000), async (req, res) => {
+  try {
+    const { error, value } = markSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        message: 'Only students can mark attendance',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const { session, classroom } = await loadOpenSession(res, req.params.sessionId);
+    if (!session) return;
+
+    if (!classroom.students.includes(req.user._id)) {
+      return res.status(403).json({
+        message: 'You are not enrolled in this classroom',
+        code: 'NOT_ENROLLED'
+      });
+    }
+
+    const verified = await AttendanceOtp.verifyCode(session, req.user._id, value.code);
+    if (!verified.valid) {
+      return res.status(400).json({
+        message: verified.reason,
+        code: verified.code,
+        attemptsRemaining: verified.attemptsRemaining
+      });
+    }
+
+    const { attendance, error: markError } = await recordSelfMark({
+      req,
+      io,
+      session,
+      location: value.location,
+      notes: value.notes,
+      verification: {
+        method: 'otp',
+        otp: {
+          verified: true,
+          mode: verified.otp.student ? 'student' : 'session',
+          channel: verified.otp.channel,
+          verifiedAt: new Date()
+        }
+      }
+    });
+
+    if (markError) {
+      return res.status(markError.status).json(markError.body);
+    }
+
+    res.json(formatMarkResponse(attendance));
+
+  } catch (error) {
+    console.error('OTP mark attendance error:', error);
+    res.status(500).json({
+      message: 'Failed to mark attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
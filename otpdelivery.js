@@ -0,0 +1,67 @@
+const { sendTemplate } = require('./mailer');
+
+// Messages "sent" by the local SMS stub, newest last
+const smsOutbox = [];
+const SMS_OUTBOX_LIMIT = 100;
+
+// Each channel receives { code, user, session, expiresAt } and resolves to
+// { delivered, display? }; `display` is returned to the caller to show on screen
+const channels = {
+  screen: async ({ code }) => ({ delivered: true, display: code }),
+
+  email: async ({ code, user, session, expiresAt }) => {
+    if (!user || !user.email) {
+      throw new Error('No email address to deliver OTP to');
+    }
+
+    await sendTemplate('attendance-otp', user.email, { code, session, expiresAt });
+
+    return { delivered: true };
+  },
+
+  // Local stand-in for an SMS gateway: keeps messages in memory
+  sms: async ({ code, user, session }) => {
+    if (!user || !user.phone) {
+      throw new Error('No phone number to deliver OTP to');
+    }
+
+    smsOutbox.push({
+      to: user.phone,
+      body: `Attendance code for ${session.title}: ${code}`,
+      sentAt: new Date()
+    });
+    if (smsOutbox.length > SMS_OUTBOX_LIMIT) {
+      smsOutbox.shift();
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`SMS OTP to ${user.phone}: ${code}`);
+    }
+
+    return { delivered: true };
+  }
+};
+
+// Replace a delivery channel (e.g. a real SMS gateway). Sessions can only
+// pick the channel names allowed by settings.otpChannel.
+const registerChannel = (name, send) => {
+  channels[name] = send;
+};
+
+const getChannelNames = () => Object.keys(channels);
+
+// Deliver a code through the named channel
+const deliverOtp = (channel, payload) => {
+  const send = channels[channel];
+  if (!send) {
+    throw new Error(`Unknown OTP delivery channel: ${channel}`);
+  }
+  return send(payload);
+};
+
+module.exports = {
+  deliverOtp,
+  registerChannel,
+  getChannelNames,
+  smsOutbox
+};
@@ -0,0 +1,196 @@
+// Named permissions. Each grant carries a scope saying which classrooms it
+// reaches: 'own' (classrooms the user owns or is enrolled in),
+// 'department' (classrooms of the user's department) or 'all'.
+const PERMISSIONS = [
+  'classroom:view',
+  'classroom:manage',
+  'sessions:run',
+  'attendance:mark',
+  'attendance:view',
+  'attendance:edit',
+  'attendance:review',
+  'corrections:review',
+  'reports:own',
+  'reports:department',
+  'reports:all',
+  'audit:view',
+  'users:manage'
+];
+
+const SCOPES = ['own', 'department', 'all'];
+
+// Permission sets for each role, plus templates for college positions.
+// A user gets their role's set, the sets of any templates assigned to them,
+// and any extra entries in User.permissions.
+const TEMPLATES = {
+  admin: {
+    scope: 'all',
+    permissions: PERMISSIONS
+  },
+  teacher: {
+    scope: 'own',
+    permissions: [
+      'classroom:view',
+      'classroom:manage',
+      'sessions:run',
+      'attendance:view',
+      'attendance:edit',
+      'attendance:review',
+      'corrections:review',
+      'reports:own',
+      'audit:view'
+    ]
+  },
+  student: {
+    scope: 'own',
+    permissions: ['classroom:view', 'attendance:mark', 'reports:own']
+  },
+  hod: {
+    scope: 'department',
+    permissions: [
+      'classroom:view',
+      'attendance:view',
+      'attendance:edit',
+      'corrections:review',
+      'reports:department',
+      'audit:view'
+    ]
+  },
+  exam_cell: {
+    scope: 'all',
+    permissions: ['classroom:view', 'attendance:view', 'reports:all']
+  },
+  auditor: {
+    scope: 'all',
+    permissions: ['classroom:view', 'attendance:view', 'reports:all', 'audit:view']
+  }
+};
+
+// Default capabilities of classroom staff (Classroom.staff); these apply
+// to that classroom only, whatever the member's own grants are
+const STAFF_TEMPLATES = {
+  co_teacher: [
+    'classroom:view',
+    'classroom:manage',
+    'sessions:run',
+    'attendance:view',
+    'attendance:edit',
+    'attendance:review',
+    'corrections:review',
+    'audit:view'
+  ],
+  ta: [
+    'classroom:view',
+    'sessions:run',
+    'attendance:view',
+    'attendance:review',
+    'corrections:review'
+  ]
+};
+
+const ROLES = ['admin', 'teacher', 'student'];
+const POSITION_TEMPLATES = Object.keys(TEMPLATES).filter(name => !ROLES.includes(name));
+
+const broader = (a, b) => (SCOPES.indexOf(a) >= SCOPES.indexOf(b) ? a : b);
+
+// Parse an explicit grant: 'attendance:edit' or 'attendance:edit@department'
+const parseGrant = (grant) => {
+  const [permission, scope = 'own'] = grant.split('@');
+  return { permission, scope };
+};
+
+const isValidGrant = (grant) => {
+  const { permission, scope } = parseGrant(grant);
+  return PERMISSIONS.includes(permission) && SCOPES.includes(scope);
+};
+
+// Map of permission -> broadest scope the user holds it at
+const getEffectivePermissions = (user) => {
+  const effective = new Map();
+  const grant = (permission, scope) => {
+    const current = effective.get(permission);
+    effective.set(permission, current ? broader(current, scope) : scope);
+  };
+
+  const templates = [user.role, ...(user.permissionTemplates || [])];
+  for (const name of templates) {
+    const template = TEMPLATES[name];
+    if (!template) continue;
+    template.permissions.forEach(permission => grant(permission, template.scope));
+  }
+
+  for (const entry of user.permissions || []) {
+    if (!isValidGrant(entry)) continue;
+    const { permission, scope } = parseGrant(entry);
+    grant(permission, scope);
+  }
+
+  return effective;
+};
+
+// Scope a user holds a permission at, or null
+const getPermissionScope = (user, permission) => {
+  return getEffectivePermissions(user).get(permission) || null;
+};
+
+const hasPermission = (user, permission) => !!getPermissionScope(user, permission);
+
+// Whether a classroom is "own" for a user
+const isOwnClassroom = (user, classroom) => {
+  if (user.role === 'student') {
+    return classroom.students.some(student => student.equals(user._id));
+  }
+  return !!classroom.teacher && classroom.teacher.equals(user._id);
+};
+
+// Whether the user is on the classroom's staff with a capability
+const hasStaffCapability = (user, permission, classroom) => {
+  return (classroom.staff || []).some(member =>
+    member.user.equals(user._id) && member.capabilities.includes(permission));
+};
+
+// Check a permission against a specific classroom
+const hasClassroomPermission = (user, permission, classroom) => {
+  if (hasStaffCapability(user, permission, classroom)) return true;
+
+  const scope = getPermissionScope(user, permission);
+  if (!scope) return false;
+  if (scope === 'all') return true;
+  if (isOwnClassroom(user, classroom)) return true;
+  return scope === 'department' && !!user.department && classroom.department === user.department;
+};
+
+// Mongo filter for the classrooms a permission reaches, or null for none
+const classroomFilterFor = (user, permission) => {
+  const scope = getPermissionScope(user, permission);
+  if (!scope) return null;
+  if (scope === 'all') return {};
+
+  if (user.role === 'student') {
+    return { students: user._id };
+  }
+
+  const reach = [
+    { teacher: user._id },
+    { staff: { $elemMatch: { user: user._id, capabilities: permission } } }
+  ];
+  if (scope === 'department' && user.department) {
+    reach.push({ department: user.department });
+  }
+  return { $or: reach };
+};
+
+module.exports = {
+  PERMISSIONS,
+  SCOPES,
+  TEMPLATES,
+  POSITION_TEMPLATES,
+  STAFF_TEMPLATES,
+  isValidGrant,
+  getEffectivePermissions,
+  getPermissionScope,
+  hasPermission,
+  hasStaffCapability,
+  hasClassroomPermission,
+  classroomFilterFor
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Marks from one device closer together than this look like one person tapping through several accounts
+const CLUSTER_WINDOW_MS = 10 * 1000;
+
+const deviceKey = (record) => {
+  const { userAgent, ipAddress } = record.verification.deviceInfo || {};
+  return userAgent && ipAddress ? `${userAgent}|${ipAddress}` : null;
+};
+
+const coordinateKey = (record) => {
+  const { latitude, longitude } = record.location || {};
+  return latitude != null && longitude != null ? `${latitude},${longitude}` : null;
+};
+
+// Group records by a key and keep only groups that span more than one student
+const sharedGroups = (records, keyFn) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyFn(record);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  return [...groups.values()].filter(group => {
+    return new Set(group.map(record => record.student.toString())).size > 1;
+  });
+};
+
+// Runs of marks from one device that are each within CLUSTER_WINDOW_MS of the previous one
+const rapidClusters = (group) => {
+  const sorted = [...group].sort((a, b) => a.markedAt - b.markedAt);
+  const clusters = [];
+  let current = [sorted[0]];
+
+  for (const record of sorted.slice(1)) {
+    if (record.markedAt - current[current.length - 1].markedAt <= CLUSTER_WINDOW_MS) {
+      current.push(record);
+    } else {
+      clusters.push(current);
+      current = [record];
+    }
+  }
+  clusters.push(current);
+
+  return clusters.filter(cluster => cluster.length > 1);
+};
+
+// Look for proxy patterns among a session's self-marked records
+// Flags matching records with isProxy/proxyReason and queues them for review.
+// Records a teacher has already reviewed are never re-flagged.
+const detectProxies = async (session) => {
+  const Attendance = mongoose.model('Attendance');
+  const records = await Attendance.find({
+    session: session._id,
+    markedBy: 'student',
+    status: { $in: ['present', 'late'] },
+    reviewStatus: { $nin: ['confirmed', 'dismissed'] }
+  });
+
+  const reasons = new Map();
+  const addReason = (record, reason) => {
+    const id = record._id.toString();
+    if (!reasons.has(id)) reasons.set(id, { record, reasons: new Set() });
+    reasons.get(id).reasons.add(reason);
+  };
+
+  for (const group of sharedGroups(records, deviceKey)) {
+    for (const record of group) {
+      addReason(record, `Same device marked for ${group.length} students`);
+    }
+    for (const cluster of rapidClusters(group)) {
+      for (const record of cluster) {
+        addReason(record, `${cluster.length} marks from one device within ${CLUSTER_WINDOW_MS / 1000} seconds`);
+      }
+    }
+  }
+
+  for (const group of sharedGroups(records, coordinateKey)) {
+    for (const record of group) {
+      addReason(record, `Identical coordinates reported by ${group.length} students`);
+    }
+  }
+
+  for (const { record, reasons: recordReasons } of reasons.values()) {
+    record.isProxy = true;
+    record.proxyReason = [...recordReasons].join('; ');
+    record.reviewStatus = 'pending';
+    await record.save();
+  }
+
+  return [...reasons.values()].map(({ record }) => record);
+};
+
+module.exports = {
+  detectProxies,
+  CLUSTER_WINDOW_MS
+};
@@ -0,0 +1,177 @@
+const express = require('express');
+const Joi = require('joi');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const Attendance = require('../models/Attendance');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Validation schemas
+const reviewSchema = Joi.object({
+  decision: Joi.string().valid('confirm', 'dismiss').required(),
+  reason: Joi.string().min(3).max(500).required()
+});
+
+const flaggedQuerySchema = Joi.object({
+  reviewStatus: Joi.string().valid('pending', 'confirmed', 'dismissed', 'all').default('pending')
+});
+
+// Load a session whose classroom the current user may review
+const loadReviewableSession = async (req, res, sessionId) => {
+  const session = await AttendanceSession.findById(sessionId);
+  if (!session) {
+    res.status(404).json({
+      message: 'Attendance session not found',
+      code: 'SESSION_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const classroom = await Classroom.findById(session.classroom);
+  if (!classroom || !hasClassroomPermission(req.user, 'attendance:review', classroom)) {
+    res.status(403).json({
+      message: 'Access denied to this session',
+      code: 'SESSION_ACCESS_DENIED'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// List flagged records for a session (proxy suspects and low-trust locations)
+router.get('/sessions/:sessionId/flagged', authenticateToken, requirePermission('attendance:review'), async (req, res) => {
+  try {
+    const { error, value } = flaggedQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const session = await loadReviewableSession(req, res, req.params.sessionId);
+    if (!session) return;
+
+    const { reviewStatus } = value;
+    const query = {
+      session: session._id,
+      $or: [{ isProxy: true }, { reviewStatus: { $ne: 'none' } }]
+    };
+    if (reviewStatus !== 'all') {
+      query.reviewStatus = reviewStatus;
+    }
+
+    const records = await Attendance.find(query)
+      .populate('student', 'firstName lastName email studentId')
+      .populate('editedBy', 'firstName lastName email')
+      .sort({ markedAt: 1 });
+
+    res.json({
+      session: {
+        id: session._id,
+        title: session.title,
+        status: session.status
+      },
+      records: records.map(record => ({
+        id: record._id,
+        student: record.student,
+        status: record.status,
+        markedAt: record.markedAt,
+        isProxy: record.isProxy,
+        proxyReason: record.proxyReason,
+        reviewStatus: record.reviewStatus,
+        location: record.location,
+        deviceInfo: record.verification.deviceInfo,
+        editedBy: record.editedBy,
+        editedAt: record.editedAt,
+        editReason: record.editReason
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get flagged records error:', error);
+    res.status(500).json({
+      message: 'Failed to get flagged records',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm or dismiss a flagged record
+router.post('/records/:attendanceId', authenticateToken, requirePermission('attendance:review'), async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const attendance = await Attendance.findById(req.params.attendanceId);
+    if (!attendance) {
+      return res.status(404).json({
+        message: 'Attendance record not found',
+        code: 'ATTENDANCE_NOT_FOUND'
+      });
+    }
+
+    const session = await loadReviewableSession(req, res, attendance.session);
+    if (!session) return;
+
+    // A decision is final: reviewing again would leave a dismissed flag on
+    // a record a confirm already marked absent
+    if (['confirmed', 'dismissed'].includes(attendance.reviewStatus)) {
+      return res.status(409).json({
+        message: 'Attendance record has already been reviewed',
+        code: 'ALREADY_REVIEWED',
+        reviewStatus: attendance.reviewStatus
+      });
+    }
+
+    if (attendance.reviewStatus !== 'pending') {
+      return res.status(400).json({
+        message: 'Attendance record is not flagged for review',
+        code: 'NOT_FLAGGED'
+      });
+    }
+
+    await attendance.applyReview(value.decision, req.user, value.reason, req.ip);
+    await session.updateStatistics();
+
+    io.to(`classroom-${session.classroom}`).emit('attendance-update', {
+      studentId: attendance.student,
+      status: attendance.status,
+      reviewStatus: attendance.reviewStatus,
+      markedAt: attendance.markedAt,
+      sessionId: session._id
+    });
+
+    res.json({
+      message: value.decision === 'confirm' ? 'Flag confirmed' : 'Flag dismissed',
+      attendance: {
+        id: attendance._id,
+        status: attendance.status,
+        isProxy: attendance.isProxy,
+        proxyReason: attendance.proxyReason,
+        reviewStatus: attendance.reviewStatus,
+        editedBy: attendance.editedBy,
+        editedAt: attendance.editedAt,
+        editReason: attendance.editReason
+      }
+    });
+
+  } catch (error) {
+    console.error('Review flagged record error:', error);
+    res.status(500).json({
+      message: 'Failed to review attendance record',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const Joi = require('joi');
+const Classroom = require('../models/Classroom');
+const AttendanceSession = require('../models/AttendanceSession');
+const { authenticateToken, requireTeacherOrAdmin, rateLimitByUser } = require('../middleware/auth');
+const { recordSelfMark, formatMarkResponse } = require('../utils/markAttendance');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Validation schemas
+const checkInSchema = Joi.object({
+  sessionId: Joi.string().required(),
+  token: Joi.string().required(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    accuracy: Joi.number().min(0).optional(),
+    address: Joi.string().optional(),
+    mocked: Joi.boolean().optional(),
+    provider: Joi.string().max(50).optional()
+  }).optional(),
+  notes: Joi.string().max(500).optional()
+});
+
+// Get the current rotating QR token for a session (shown on the teacher's screen)
+router.get('/sessions/:sessionId/token', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+  try {
+    const session = await AttendanceSession.findById(req.params.sessionId).select('+qrSecret');
+    if (!session) {
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    // Check if user may run sessions in this classroom
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom || !hasClassroomPermission(req.user, 'sessions:run', classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this session',
+        code: 'SESSION_ACCESS_DENIED'
+      });
+    }
+
+    await session.ensureQrSecret();
+    const issued = session.generateQrToken();
+    if (!issued) {
+      return res.status(400).json({
+        message: 'Attendance window is closed',
+        code: 'ATTENDANCE_WINDOW_CLOSED'
+      });
+    }
+
+    const qrCode = await QRCode.toDataURL(JSON.stringify({
+      sessionId: session._id,
+      token: issued.token
+    }));
+
+    res.json({
+      token: issued.token,
+      generation: issued.generation,
+      expiresAt: issued.expiresAt,
+      rotationSeconds: session.settings.qrRotationSeconds,
+      qrCode
+    });
+
+  } catch (error) {
+    console.error('Get QR token error:', error);
+    res.status(500).json({
+      message: 'Failed to generate QR token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Check in by scanning the session's rotating QR code
+router.post('/check-in', authenticateToken, rateLimitByUser(10, 60 * 1000), async (req, res) => {
+  try {
+    const { error, value } = checkInSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { sessionId, token, location, notes } = value;
+
+    // Only students can check in
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        message: 'Only students can mark attendance',
+        code: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const session = await AttendanceSession.findById(sessionId).select('+qrSecret');
+    if (!session) {
+      return res.status(404).json({
+        message: 'Attendance session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    // Check if student is enrolled in the classroom
+    const classroom = await Classroom.findById(session.classroom);
+    if (!classroom.students.includes(req.user._id)) {
+      return res.status(403).json({
+        message: 'You are not enrolled in this classroom',
+        code: 'NOT_ENROLLED'
+      });
+    }
+
+    await session.ensureQrSecret();
+    const verified = session.verifyQrToken(token);
+    if (!verified.valid) {
+      return res.status(400).json({
+        message: verified.reason,
+        code: verified.code
+      });
+    }
+
+    const { attendance, error: markError } = await recordSelfMark({
+      req,
+      io,
+      session,
+      location,
+      notes,
+      verification: {
+        method: 'qr',
+        qrToken: {
+          generation: verified.generation,
+          issuedAt: verified.issuedAt
+        }
+      }
+    });
+
+    if (markError) {
+      return res.status(markError.status).json(markError.body);
+    }
+
+    res.json(formatMarkResponse(attendance));
+
+  } catch (error) {
+    console.error('QR check-in error:', error);
+    res.status(500).json({
+      message: 'Failed to mark attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Allow a little drift between the teacher's display and the server clock
+const CLOCK_SKEW_MS = 2000;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// Derive the signing key for a session from the server secret and the session's own secret
+const deriveKey = (sessionSecret) => {
+  const serverSecret = process.env.QR_TOKEN_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', serverSecret).update(sessionSecret).digest();
+};
+
+const signPayload = (encodedPayload, sessionSecret) => {
+  return base64url(
+    crypto.createHmac('sha256', deriveKey(sessionSecret)).update(encodedPayload).digest()
+  );
+};
+
+// Create a signed token: base64url(payload).base64url(signature)
+const signToken = (payload, sessionSecret) => {
+  const encodedPayload = base64url(JSON.stringify(payload));
+  return `${encodedPayload}.${signPayload(encodedPayload, sessionSecret)}`;
+};
+
+// Verify a token's signature and return its payload
+const verifyToken = (token, sessionSecret) => {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, code: 'QR_TOKEN_MALFORMED', reason: 'Malformed QR token' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(signPayload(encodedPayload, sessionSecret));
+  const provided = Buffer.from(signature || '');
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, code: 'QR_TOKEN_INVALID', reason: 'QR token signature is invalid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, code: 'QR_TOKEN_MALFORMED', reason: 'Malformed QR token' };
+  }
+
+  return { valid: true, payload };
+};
+
+// Generate a random per-session secret
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+module.exports = {
+  signToken,
+  verifyToken,
+  generateSecret,
+  CLOCK_SKEW_MS
+};
@@ -0,0 +1,63 @@
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+const clientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Key requests by user (falling back to IP before login), by IP, or by a
+// function of the request; a function returning null skips limiting
+const resolveKey = (req, keyBy) => {
+  if (typeof keyBy === 'function') {
+    return keyBy(req);
+  }
+  if (keyBy === 'user' && req.user) {
+    return `user:${req.user._id}`;
+  }
+  return `ip:${clientIp(req)}`;
+};
+
+// Rate limiter backed by the configured store. Counters are scoped to the
+// route unless a prefix is given, so each route keeps its own budget.
+const createRateLimiter = ({
+  max = 5,
+  windowMs = 15 * 60 * 1000,
+  keyBy = 'user',
+  prefix,
+  message = 'Too many attempts. Please try again later.'
+} = {}) => {
+  return async (req, res, next) => {
+    const key = resolveKey(req, keyBy);
+    if (!key) return next();
+
+    const scope = prefix || `${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${scope}:${key}`, windowMs);
+    } catch (error) {
+      // Don't lock everyone out because the store is unavailable
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetTime.getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': max,
+      'RateLimit-Remaining': Math.max(0, max - result.totalHits),
+      'RateLimit-Reset': resetSeconds
+    });
+
+    if (result.totalHits > max) {
+      res.set('Retry-After', resetSeconds);
+      return res.status(429).json({
+        message,
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Fixed-window hit counters for the MongoDB rate-limit store
+const rateLimitCounterSchema = new mongoose.Schema({
+  _id: {
+    type: String // the rate-limit key
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Remove counters once their window has passed
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a hit, starting a new window when the current one has passed
+// Atomic, so concurrent instances share one count
+rateLimitCounterSchema.statics.hit = function(key, windowMs) {
+  const now = new Date();
+  const windowPassed = { $or: [{ $not: ['$resetAt'] }, { $lte: ['$resetAt', now] }] };
+
+  return this.findOneAndUpdate(
+    { _id: key },
+    [{
+      $set: {
+        hits: { $cond: [windowPassed, 1, { $add: ['$hits', 1] }] },
+        resetAt: { $cond: [windowPassed, new Date(now.getTime() + windowMs), '$resetAt'] }
+      }
+    }],
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
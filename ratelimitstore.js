@@ -0,0 +1,186 @@
+// Rate-limit stores. Every store counts hits in fixed windows and exposes
+//   increment(key, windowMs) -> { totalHits, resetTime }
+//   decrement(key), resetKey(key)
+// plus `local`, true when counts are not shared between instances.
+
+// Counters kept in this process, evicted once their window passes
+const createMemoryStore = ({ maxKeys = 10000, sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetTime.getTime() <= now) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    local: true,
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetTime.getTime() <= now) {
+        counter = { totalHits: 0, resetTime: new Date(now + windowMs) };
+        counters.delete(key);
+        // Maps iterate in insertion order, so the first key is the oldest
+        if (counters.size >= maxKeys) {
+          counters.delete(counters.keys().next().value);
+        }
+        counters.set(key, counter);
+      }
+
+      counter.totalHits++;
+      return { totalHits: counter.totalHits, resetTime: counter.resetTime };
+    },
+
+    decrement: async (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.totalHits > 0) {
+        counter.totalHits--;
+      }
+    },
+
+    resetKey: async (key) => {
+      counters.delete(key);
+    },
+
+    shutdown: () => clearInterval(timer)
+  };
+};
+
+// Counters in MongoDB, shared by every instance using the database
+const createMongoStore = () => {
+  const RateLimitCounter = require('../models/RateLimitCounter');
+
+  return {
+    local: false,
+
+    increment: async (key, windowMs) => {
+      const counter = await RateLimitCounter.hit(key, windowMs);
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    },
+
+    decrement: async (key) => {
+      await RateLimitCounter.updateOne({ _id: key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    },
+
+    resetKey: async (key) => {
+      await RateLimitCounter.deleteOne({ _id: key });
+    }
+  };
+};
+
+// Counters in Redis. `client` needs incr, decr, del, pExpire and pTTL
+// (node-redis v4 naming); utils/localRedis provides a stand-in.
+const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => {
+  return {
+    local: false,
+
+    increment: async (key, windowMs) => {
+      const redisKey = prefix + key;
+      const totalHits = await client.incr(redisKey);
+      if (totalHits === 1) {
+        await client.pExpire(redisKey, windowMs);
+      }
+
+      let ttl = await client.pTTL(redisKey);
+      // Expiry lost (e.g. a crash between INCR and PEXPIRE): start the window now
+      if (ttl < 0) {
+        await client.pExpire(redisKey, windowMs);
+        ttl = windowMs;
+      }
+
+      return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    },
+
+    decrement: async (key) => {
+      await client.decr(prefix + key);
+    },
+
+    resetKey: async (key) => {
+      await client.del(prefix + key);
+    }
+  };
+};
+
+let store = null;
+
+// Connect to Redis at REDIS_URL; the `redis` package is only needed here
+const connectRedis = () => {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('RATE_LIMIT_STORE=redis needs the "redis" package installed, or pass a client to configureRateLimitStore');
+  }
+
+  const client = redis.createClient({ url: process.env.REDIS_URL });
+  client.on('error', (error) => console.error('Rate limit Redis error:', error));
+  client.connect().catch((error) => console.error('Rate limit Redis connection error:', error));
+  return client;
+};
+
+// Choose the store every limiter uses: 'memory' (default), 'mongo' or 'redis'
+const configureRateLimitStore = ({ type = process.env.RATE_LIMIT_STORE || 'memory', client } = {}) => {
+  if (store && store.shutdown) {
+    store.shutdown();
+  }
+
+  switch (type) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'mongo':
+      store = createMongoStore();
+      break;
+    case 'redis':
+      store = createRedisStore(client || connectRedis());
+      break;
+    default:
+      throw new Error(`Unknown rate limit store: ${type}`);
+  }
+
+  return store;
+};
+
+const getRateLimitStore = () => store || configureRateLimitStore();
+
+// Store for the express-rate-limit package backed by the shared store, so
+// its counters live wherever the rest of the limiters' do
+const createExpressStore = (prefix = 'global') => ({
+  get localKeys() {
+    return getRateLimitStore().local;
+  },
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  },
+
+  increment(key) {
+    return getRateLimitStore().increment(`${prefix}:${key}`, this.windowMs);
+  },
+
+  decrement(key) {
+    return getRateLimitStore().decrement(`${prefix}:${key}`);
+  },
+
+  resetKey(key) {
+    return getRateLimitStore().resetKey(`${prefix}:${key}`);
+  }
+});
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createRedisStore,
+  configureRateLimitStore,
+  getRateLimitStore,
+  createExpressStore
+};
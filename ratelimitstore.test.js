@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createRedisStore, configureRateLimitStore } = require('./rateLimitStore');
+const { createLocalRedisClient } = require('./localRedis');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run a limiter against a bare request; resolves to the response, or null
+// when the request was let through
+const hit = (limiter, ip = '10.0.0.1') => new Promise((resolve) => {
+  const res = {
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      resolve(this);
+    }
+  };
+  limiter({ ip, method: 'POST', baseUrl: '/api/auth', path: '/login' }, res, () => resolve(null));
+});
+
+test.after(() => configureRateLimitStore({ type: 'memory' }).shutdown());
+
+test('instances sharing a Redis client share one counter', async () => {
+  const client = createLocalRedisClient();
+  const first = createRedisStore(client);
+  const second = createRedisStore(client);
+
+  await first.increment('login:ip:1', 60 * 1000);
+  await second.increment('login:ip:1', 60 * 1000);
+  const { totalHits, resetTime } = await first.increment('login:ip:1', 60 * 1000);
+  assert.strictEqual(totalHits, 3);
+  assert.ok(resetTime.getTime() > Date.now());
+
+  await second.decrement('login:ip:1');
+  assert.strictEqual((await first.increment('login:ip:1', 60 * 1000)).totalHits, 3);
+
+  await first.resetKey('login:ip:1');
+  assert.strictEqual((await second.increment('login:ip:1', 60 * 1000)).totalHits, 1);
+});
+
+test('a Redis counter starts again once its window passes', async () => {
+  const store = createRedisStore(createLocalRedisClient());
+
+  await store.increment('key', 40);
+  assert.strictEqual((await store.increment('key', 40)).totalHits, 2);
+
+  await sleep(60);
+  assert.strictEqual((await store.increment('key', 40)).totalHits, 1);
+});
+
+test('a Redis counter that lost its expiry gets a new window', async () => {
+  const client = createLocalRedisClient();
+  const store = createRedisStore(client, { prefix: '' });
+  await client.incr('key');
+
+  const { totalHits } = await store.increment('key', 40);
+  assert.strictEqual(totalHits, 2);
+  assert.ok(await client.pTTL('key') > 0);
+
+  await sleep(60);
+  assert.strictEqual((await store.increment('key', 40)).totalHits, 1);
+});
+
+test('a memory counter starts again once its window passes', async () => {
+  const store = createMemoryStore();
+  try {
+    await store.increment('key', 40);
+    assert.strictEqual((await store.increment('key', 40)).totalHits, 2);
+
+    await sleep(60);
+    assert.strictEqual((await store.increment('key', 40)).totalHits, 1);
+  } finally {
+    store.shutdown();
+  }
+});
+
+test('the limiter blocks once the shared count passes the limit', async () => {
+  configureRateLimitStore({ type: 'redis', client: createLocalRedisClient() });
+  const limiter = createRateLimiter({ max: 2, windowMs: 60 * 1000, keyBy: 'ip' });
+
+  assert.strictEqual(await hit(limiter), null);
+  assert.strictEqual(await hit(limiter), null);
+
+  const blocked = await hit(limiter);
+  assert.strictEqual(blocked.statusCode, 429);
+  assert.strictEqual(blocked.body.code, 'RATE_LIMIT_EXCEEDED');
+  assert.ok(blocked.headers['Retry-After'] > 0);
+
+  // Other clients keep their own budget
+  assert.strictEqual(await hit(limiter, '10.0.0.2'), null);
+});
+
+test('requests are let through when the store is unavailable', async () => {
+  const down = async () => { throw new Error('connection refused'); };
+  configureRateLimitStore({
+    type: 'redis',
+    client: { incr: down, decr: down, del: down, pExpire: down, pTTL: down }
+  });
+  const limiter = createRateLimiter({ max: 1, windowMs: 60 * 1000, keyBy: 'ip' });
+
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    assert.strictEqual(await hit(limiter), null);
+    assert.strictEqual(await hit(limiter), null);
+  } finally {
+    console.error = consoleError;
+  }
+  assert.strictEqual(errors.length, 2);
+});
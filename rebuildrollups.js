@@ -0,0 +1,31 @@
+// Rebuild the attendance rollups from the raw attendance records
+// Run with: npm run rollups:rebuild
+// Summaries are computed from the raw records until this has run once.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('./models/Classroom');
+require('./models/Attendance');
+const { rebuildRollups } = require('./utils/attendanceRollups');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance-management');
+
+  console.log('Rebuilding attendance rollups...');
+  const startedAt = Date.now();
+  const result = await rebuildRollups();
+
+  console.log(`Student/classroom rollups: ${result.studentClassroom}`);
+  console.log(`Classroom/day rollups: ${result.classroomDay}`);
+  console.log(`Department/week rollups: ${result.departmentWeek}`);
+  console.log(`Stale rollups removed: ${result.removed}`);
+  console.log(`Done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Rollup rebuild failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
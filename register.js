@@ -0,0 +1,66 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requireClassroomAccess, requirePermission } = require('../middleware/auth');
+const { createCsvRegisterWriter, createXlsxRegisterWriter, writeRegister } = require('../utils/registerExport');
+
+const router = express.Router();
+
+// Validation schemas
+const registerQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+});
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Download a classroom's attendance register as CSV or XLSX
+router.get('/classrooms/:classroomId', authenticateToken, requireClassroomAccess, requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { error, value } = registerQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+    const range = [value.startDate, value.endDate]
+      .filter(Boolean)
+      .map(date => date.toISOString().slice(0, 10))
+      .join('_');
+    const filename = `register-${classroom.code}${range ? `-${range}` : ''}.${value.format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[value.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const writer = value.format === 'xlsx'
+      ? createXlsxRegisterWriter(res, classroom.name)
+      : createCsvRegisterWriter(res);
+
+    await writeRegister({
+      classroom,
+      startDate: value.startDate,
+      endDate: value.endDate
+    }, writer);
+
+  } catch (error) {
+    console.error('Register export error:', error);
+    // Part of the file may already be sent; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({
+      message: 'Failed to export attendance register',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Attendance = require('../models/Attendance');
+const AttendanceSession = require('../models/AttendanceSession');
+const User = require('../models/User');
+const { toCsvLine, neutralizeFormula } = require('./csv');
+const { resolveWeighting, weightedPercentage } = require('./attendanceWeighting');
+const { collegeDay, collegeTime } = require('./collegeTime');
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const STATUS_CODES = {
+  present: 'P',
+  absent: 'A',
+  late: 'L',
+  excused: 'E'
+};
+
+// Students are written this many at a time, with only their records loaded
+const STUDENT_BATCH_SIZE = 100;
+
+const emptyCounts = () => ({ present: 0, absent: 0, late: 0, excused: 0 });
+
+const countTotal = (counts) => STATUSES.reduce((sum, status) => sum + counts[status], 0);
+
+// Format a date in the college's calendar
+const formatDate = (date, format) => collegeTime(date).format(format);
+
+// Sessions that make up the register's columns, in order. The range covers
+// whole college days, so the last day's later sessions are included.
+const loadRegisterSessions = (classroomId, { startDate, endDate } = {}) => {
+  const filter = { classroom: classroomId, status: { $in: ['active', 'completed'] } };
+  if (startDate || endDate) {
+    filter.scheduledDate = {};
+    if (startDate) filter.scheduledDate.$gte = collegeDay(startDate).toDate();
+    if (endDate) filter.scheduledDate.$lte = collegeDay(endDate).endOf('day').toDate();
+  }
+
+  return AttendanceSession.find(filter)
+    .sort({ scheduledDate: 1, startTime: 1 })
+    .select('title scheduledDate startTime')
+    .lean();
+};
+
+// Column labels: the date, plus the start time on days with several sessions
+const sessionLabels = (sessions) => {
+  const dates = sessions.map(session => formatDate(session.scheduledDate, 'DD-MM-YYYY'));
+  return sessions.map((session, index) => {
+    const shared = dates.filter(date => date === dates[index]).length > 1;
+    return shared ? `${dates[index]} ${formatDate(session.startTime, 'HH:mm')}` : dates[index];
+  });
+};
+
+// Row writer sending CSV to a stream. Starts with a BOM so Excel reads the
+// file as UTF-8.
+const createCsvRegisterWriter = (stream) => {
+  stream.write('\ufeff');
+
+  return {
+    addRow: async (values) => {
+      if (!stream.write(`${toCsvLine(values)}\r\n`)) {
+        await once(stream, 'drain');
+      }
+    },
+    end: async () => {
+      stream.end();
+    }
+  };
+};
+
+// Row writer streaming an XLSX workbook to a stream; each row is flushed as
+// soon as it is added
+const createXlsxRegisterWriter = (stream, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  // Sheet names are limited to 31 characters without []:*?/\
+  const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+  return {
+    addRow: async (values, { bold = false } = {}) => {
+      const row = worksheet.addRow(values.map(neutralizeFormula));
+      if (bold) {
+        row.font = { bold: true };
+      }
+      row.commit();
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Write a classroom's attendance register through a row writer: title rows,
+// a header, one row per student (sessions as columns, P/A/L/E cells, totals
+// and percentage) and a footer with per-session and classroom totals.
+// Resolves to { sessions, students }.
+const writeRegister = async ({ classroom, startDate, endDate }, writer) => {
+  const weighting = resolveWeighting(classroom);
+  const sessions = await loadRegisterSessions(classroom._id, { startDate, endDate });
+  const sessionIds = sessions.map(session => session._id);
+  const columnIndex = new Map(sessionIds.map((id, index) => [id.toString(), index]));
+
+  const from = startDate ? collegeDay(startDate) : sessions[0] && sessions[0].scheduledDate;
+  const to = endDate ? collegeDay(endDate) : sessions.length > 0 && sessions[sessions.length - 1].scheduledDate;
+
+  await writer.addRow([`Attendance Register - ${classroom.name} (${classroom.code})`], { bold: true });
+  await writer.addRow([`Subject: ${classroom.subject}`]);
+  await writer.addRow([`Period: ${from ? formatDate(from, 'DD-MM-YYYY') : '-'} to ${to ? formatDate(to, 'DD-MM-YYYY') : '-'}`]);
+  await writer.addRow([]);
+  await writer.addRow([
+    'S.No', 'Student ID', 'Name',
+    ...sessionLabels(sessions),
+    'Present', 'Absent', 'Late', 'Excused', 'Total', 'Percentage'
+  ], { bold: true });
+
+  // Enrolled students plus anyone with a record here who has since left
+  const withRecords = sessionIds.length > 0
+    ? await Attendance.distinct('student', { session: { $in: sessionIds } })
+    : [];
+  const studentIds = [...new Map([...classroom.students, ...withRecords].map(id => [id.toString(), id])).values()];
+
+  const sessionTotals = sessions.map(emptyCounts);
+  const classroomTotals = emptyCounts();
+  let serial = 0;
+
+  const writeBatch = async (students) => {
+    const records = await Attendance.find({
+      session: { $in: sessionIds },
+      student: { $in: students.map(student => student._id) }
+    }).select('student session status').lean();
+
+    const byStudent = new Map();
+    for (const record of records) {
+      const key = record.student.toString();
+      if (!byStudent.has(key)) byStudent.set(key, []);
+      byStudent.get(key).push(record);
+    }
+
+    for (const student of students) {
+      const cells = sessions.map(() => '');
+      const counts = emptyCounts();
+
+      for (const record of byStudent.get(student._id.toString()) || []) {
+        const column = columnIndex.get(record.session.toString());
+        cells[column] = STATUS_CODES[record.status];
+        counts[record.status]++;
+        sessionTotals[column][record.status]++;
+        classroomTotals[record.status]++;
+      }
+
+      serial++;
+      const percentage = weightedPercentage(counts, weighting);
+      await writer.addRow([
+        serial,
+        student.studentId || '',
+        `${student.firstName} ${student.lastName}`,
+        ...cells,
+        counts.present, counts.absent, counts.late, counts.excused, countTotal(counts),
+        percentage === null ? '' : percentage
+      ]);
+    }
+  };
+
+  const cursor = User.find({ _id: { $in: studentIds } })
+    .sort({ studentId: 1, lastName: 1, firstName: 1 })
+    .select('firstName lastName studentId')
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const student of cursor) {
+    batch.push(student);
+    if (batch.length >= STUDENT_BATCH_SIZE) {
+      await writeBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await writeBatch(batch);
+  }
+
+  // Footer: per-session totals under each column, classroom totals under
+  // the matching totals column
+  await writer.addRow([]);
+  for (const status of STATUSES) {
+    await writer.addRow([
+      '', '', `Total ${status.charAt(0).toUpperCase()}${status.slice(1)}`,
+      ...sessionTotals.map(counts => counts[status]),
+      ...STATUSES.map(other => (other === status ? classroomTotals[status] : '')), '', ''
+    ], { bold: true });
+  }
+  const overall = weightedPercentage(classroomTotals, weighting);
+  await writer.addRow([
+    '', '', 'Attendance %',
+    ...sessionTotals.map(counts => weightedPercentage(counts, weighting) ?? ''),
+    '', '', '', '', countTotal(classroomTotals), overall === null ? '' : overall
+  ], { bold: true });
+
+  await writer.end();
+
+  return { sessions: sessions.length, students: serial };
+};
+
+module.exports = {
+  STATUS_CODES,
+  createCsvRegisterWriter,
+  createXlsxRegisterWriter,
+  writeRegister
+};
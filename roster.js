@@ -0,0 +1,135 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const { authenticateToken, requireTeacherOrAdmin } = require('../middleware/auth');
+const { hasPermission, hasClassroomPermission } = require('../utils/permissions');
+const { parseCsvRecords } = require('../utils/csv');
+const { importRoster, normalizeHeader, MAX_ROWS } = require('../utils/rosterImport');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    if (!isCsv) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Run the multer upload and turn its errors into 400 responses
+const uploadRoster = (req, res, next) => {
+  upload.single('roster')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: 'Roster must be a single CSV file of at most 2MB',
+        code: 'INVALID_ROSTER'
+      });
+    }
+    if (!error && !req.file) {
+      return res.status(400).json({
+        message: 'A roster CSV file is required',
+        code: 'ROSTER_REQUIRED'
+      });
+    }
+    next(error);
+  });
+};
+
+// classroomIds may be repeated fields or one comma-separated value
+const parseClassroomIds = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(Boolean)
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Import students from a CSV roster (name or firstName/lastName, email,
+// studentId, department, year) and enrol them into classrooms.
+// dryRun=true validates every row and reports without writing anything.
+router.post('/import', authenticateToken, requireTeacherOrAdmin, uploadRoster, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === 'true';
+    const classroomIds = parseClassroomIds(req.body.classroomIds);
+
+    if (classroomIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        message: 'Invalid classroom ID',
+        code: 'INVALID_ID'
+      });
+    }
+
+    // Teachers onboard students into classrooms they run; only account
+    // managers may import without enrolling
+    if (classroomIds.length === 0 && !hasPermission(req.user, 'users:manage')) {
+      return res.status(400).json({
+        message: 'Choose at least one classroom to enrol the students into',
+        code: 'CLASSROOM_REQUIRED'
+      });
+    }
+
+    const classrooms = await Classroom.find({ _id: { $in: classroomIds } });
+    if (classrooms.length !== new Set(classroomIds).size) {
+      return res.status(404).json({
+        message: 'Classroom not found',
+        code: 'CLASSROOM_NOT_FOUND'
+      });
+    }
+
+    const denied = classrooms.find(classroom => !hasClassroomPermission(req.user, 'classroom:manage', classroom));
+    if (denied) {
+      return res.status(403).json({
+        message: `Access denied to classroom ${denied.name}`,
+        code: 'CLASSROOM_ACCESS_DENIED'
+      });
+    }
+
+    const records = parseCsvRecords(req.file.buffer.toString('utf8'), { normalizeHeader });
+    if (records.length === 0) {
+      return res.status(400).json({
+        message: 'Roster has no rows',
+        code: 'EMPTY_ROSTER'
+      });
+    }
+
+    if (records.length > MAX_ROWS) {
+      return res.status(400).json({
+        message: `Roster has ${records.length} rows; the limit is ${MAX_ROWS}`,
+        code: 'ROSTER_TOO_LARGE'
+      });
+    }
+
+    // Only account managers may change existing students' profiles
+    const report = await importRoster({
+      records,
+      classrooms,
+      dryRun,
+      updateProfiles: hasPermission(req.user, 'users:manage')
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Roster validated' : 'Roster imported',
+      classrooms: classrooms.map(classroom => ({ id: classroom._id, name: classroom.name })),
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Roster import error:', error);
+    res.status(500).json({
+      message: 'Failed to import roster',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
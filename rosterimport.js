@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const User = require('../models/User');
+const { sendAccountCode } = require('./accountVerification');
+
+const MAX_ROWS = 2000;
+
+// Roster imports give students a week to verify instead of a day
+const VERIFICATION_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STUDENT_FIELDS = ['firstName', 'lastName', 'studentId', 'department', 'year'];
+
+// Header aliases, compared lower-case without spaces or underscores
+const HEADER_ALIASES = {
+  name: 'name',
+  fullname: 'name',
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'email',
+  studentid: 'studentId',
+  rollno: 'studentId',
+  department: 'department',
+  year: 'year'
+};
+
+const normalizeHeader = (header) => {
+  const key = header.trim().toLowerCase().replace(/[\s_-]/g, '');
+  return HEADER_ALIASES[key] || key;
+};
+
+const rowSchema = Joi.object({
+  name: Joi.string().optional(),
+  firstName: Joi.string().max(100).optional(),
+  lastName: Joi.string().max(100).optional(),
+  email: Joi.string().email().lowercase().required(),
+  studentId: Joi.string().max(50).required(),
+  department: Joi.string().max(100).optional(),
+  year: Joi.string().max(20).optional()
+}).or('name', 'firstName').unknown(true);
+
+// Validate one CSV record into student fields, or return its error messages
+const parseRow = (record) => {
+  // Empty cells count as missing
+  const present = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''));
+  const { error, value } = rowSchema.validate(present, { abortEarly: false });
+  if (error) {
+    return { errors: error.details.map(detail => detail.message) };
+  }
+
+  let { firstName, lastName } = value;
+  if (!firstName && value.name.includes(',')) {
+    // "Last, First" as exported by most registrar systems
+    [lastName, firstName] = value.name.split(',').map(part => part.trim());
+  } else if (!firstName) {
+    const parts = value.name.trim().split(/\s+/);
+    firstName = parts.shift();
+    lastName = parts.join(' ');
+  }
+  if (!lastName) {
+    return { errors: ['"lastName" is required (or a "name" with a surname)'] };
+  }
+
+  return {
+    student: {
+      firstName,
+      lastName,
+      email: value.email,
+      studentId: value.studentId,
+      department: value.department || null,
+      year: value.year || null
+    }
+  };
+};
+
+// Import a roster: create or update student accounts and enrol them.
+// `records` are CSV records keyed by normalized headers. With dryRun nothing
+// is written and the report says what would happen. Existing profiles are
+// only changed with updateProfiles (callers holding users:manage); otherwise
+// those students are still enrolled and the differing fields are reported
+// as conflicts.
+const importRoster = async ({ records, classrooms = [], dryRun = false, updateProfiles = false }) => {
+  const report = {
+    dryRun,
+    total: records.length,
+    created: 0,
+    updated: 0,
+    conflicts: 0,
+    skipped: 0,
+    enrolled: 0,
+    emailsSent: 0,
+    emailFailures: 0,
+    rows: []
+  };
+
+  if (records.length > MAX_ROWS) {
+    throw new Error(`Roster has ${records.length} rows; the limit is ${MAX_ROWS}`);
+  }
+
+  // Validate rows and catch duplicates within the file
+  const seenEmails = new Map();
+  const seenStudentIds = new Map();
+  const candidates = records.map((record, index) => {
+    const row = index + 2; // line number in the file, after the header
+    const { student, errors } = parseRow(record);
+    if (errors) {
+      return { row, email: record.email || null, errors };
+    }
+
+    const duplicates = [];
+    if (seenEmails.has(student.email)) {
+      duplicates.push(`Duplicate email (also on row ${seenEmails.get(student.email)})`);
+    }
+    if (seenStudentIds.has(student.studentId)) {
+      duplicates.push(`Duplicate studentId (also on row ${seenStudentIds.get(student.studentId)})`);
+    }
+    seenEmails.set(student.email, row);
+    seenStudentIds.set(student.studentId, row);
+
+    return duplicates.length > 0
+      ? { row, email: student.email, errors: duplicates }
+      : { row, email: student.email, student };
+  });
+
+  // Check against existing accounts
+  const valid = candidates.filter(candidate => candidate.student);
+  const existing = await User.find({
+    $or: [
+      { email: { $in: valid.map(candidate => candidate.student.email) } },
+      { studentId: { $in: valid.map(candidate => candidate.student.studentId) } }
+    ]
+  });
+  const byEmail = new Map(existing.map(user => [user.email, user]));
+  const byStudentId = new Map(existing.filter(user => user.studentId).map(user => [user.studentId, user]));
+
+  for (const candidate of valid) {
+    const { student } = candidate;
+    const user = byEmail.get(student.email);
+    const holder = byStudentId.get(student.studentId);
+
+    if (user && user.role !== 'student') {
+      candidate.errors = ['Email belongs to a non-student account'];
+    } else if (holder && (!user || !holder._id.equals(user._id))) {
+      candidate.errors = [`studentId already belongs to ${holder.email}`];
+    } else if (!user) {
+      candidate.action = 'create';
+    } else {
+      candidate.user = user;
+      const changes = STUDENT_FIELDS.filter(field => (user[field] || null) !== student[field]);
+      if (changes.length === 0) {
+        candidate.action = 'unchanged';
+      } else if (updateProfiles) {
+        candidate.action = 'update';
+        candidate.changes = changes;
+      } else {
+        candidate.action = 'conflict';
+        candidate.conflicts = changes;
+      }
+    }
+  }
+
+  for (const candidate of candidates) {
+    if (candidate.errors) {
+      candidate.action = 'error';
+      continue;
+    }
+
+    if (dryRun) continue;
+
+    try {
+      if (candidate.action === 'create') {
+        candidate.user = await User.create({
+          ...candidate.student,
+          role: 'student',
+          // Unusable until the student sets their own via forgot-password
+          password: crypto.randomBytes(24).toString('base64url')
+        });
+      } else if (candidate.action === 'update') {
+        candidate.changes.forEach(field => {
+          candidate.user[field] = candidate.student[field];
+        });
+        await candidate.user.save();
+      }
+    } catch (error) {
+      // e.g. a duplicate key from an account created meanwhile
+      candidate.action = 'error';
+      candidate.errors = [error.code === 11000 ? 'Email or studentId already exists' : error.message];
+    }
+  }
+
+  // Enrol every imported student into each classroom
+  const imported = candidates.filter(candidate => candidate.action !== 'error');
+  for (const classroom of classrooms) {
+    for (const candidate of imported) {
+      if (candidate.user && classroom.isStudentEnrolled(candidate.user._id)) continue;
+      report.enrolled++;
+      if (!dryRun) {
+        await classroom.addStudent(candidate.user._id);
+      }
+    }
+  }
+
+  // Verification emails for new accounts
+  if (!dryRun) {
+    for (const candidate of imported.filter(item => item.action === 'create')) {
+      try {
+        const sent = await sendAccountCode(candidate.user, 'verify_email', {
+          template: 'roster-welcome',
+          lifetimeMs: VERIFICATION_LIFETIME_MS
+        });
+        if (!sent.issued) {
+          throw new Error(sent.reason);
+        }
+        report.emailsSent++;
+      } catch (error) {
+        console.error('Roster onboarding email error:', error);
+        report.emailFailures++;
+      }
+    }
+  }
+
+  for (const candidate of candidates) {
+    if (candidate.action === 'create') report.created++;
+    else if (candidate.action === 'update') report.updated++;
+    else if (candidate.action === 'conflict') report.conflicts++;
+    else report.skipped++;
+
+    report.rows.push({
+      row: candidate.row,
+      email: candidate.email,
+      action: candidate.action,
+      ...(candidate.changes ? { changes: candidate.changes } : {}),
+      ...(candidate.conflicts ? { conflicts: candidate.conflicts } : {}),
+      ...(candidate.errors ? { errors: candidate.errors } : {})
+    });
+  }
+
+  return report;
+};
+
+module.exports = {
+  MAX_ROWS,
+  normalizeHeader,
+  importRoster
+};
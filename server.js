@@ -8,10 +8,33 @@ const socketIo = require('socket.io');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const tokenRoutes = require('./routes/tokens');
+const verificationRoutes = require('./routes/verification');
 const classroomRoutes = require('./routes/classroom');
+const classroomStaffRoutes = require('./routes/classroomStaff');
 const attendanceRoutes = require('./routes/attendance');
 const analyticsRoutes = require('./routes/analytics');
 const userRoutes = require('./routes/user');
+const { authenticateSocket, authorizeClassroom } = require('./middleware/socketAuth');
+const { startAttendanceScheduler } = require('./jobs/attendanceScheduler');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const { startLmsScheduler } = require('./jobs/lmsScheduler');
+const { createExpressStore } = require('./utils/rateLimitStore');
+const qrCheckinRoutes = require('./routes/qrCheckin');
+const sessionScheduleRoutes = require('./routes/sessionSchedule');
+const proxyReviewRoutes = require('./routes/proxyReview');
+const auditRoutes = require('./routes/audit');
+const correctionRoutes = require('./routes/corrections');
+const otpRoutes = require('./routes/otp');
+const faceRoutes = require('./routes/face');
+const accessRoutes = require('./routes/access');
+const accountRoutes = require('./routes/accounts');
+const rosterRoutes = require('./routes/roster');
+const standingRoutes = require('./routes/standings');
+const registerRoutes = require('./routes/register');
+const webhookRoutes = require('./routes/webhookEndpoints');
+const lmsRoutes = require('./routes/lms');
+const offlineAttendanceRoutes = require('./routes/offlineAttendance');
 
 const app = express();
 const server = http.createServer(app);
@@ -32,7 +55,10 @@ app.use(cors({
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createExpressStore('global') // shared with the per-route limiters
 });
 app.use(limiter);
 
@@ -50,19 +76,59 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendanc
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth', tokenRoutes);
+app.use('/api/auth', verificationRoutes);
 app.use('/api/classroom', classroomRoutes);
+app.use('/api/classroom', classroomStaffRoutes);
+// Before the attendance routes so their parameterised paths don't shadow it
+app.use('/api/attendance/offline', offlineAttendanceRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/qr', qrCheckinRoutes);
+app.use('/api/schedule', sessionScheduleRoutes);
+app.use('/api/review', proxyReviewRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/corrections', correctionRoutes);
+app.use('/api/otp', otpRoutes);
+app.use('/api/face', faceRoutes);
+app.use('/api/access', accessRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/standings', standingRoutes);
+app.use('/api/register', registerRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/lms', lmsRoutes);
 
 // Socket.io for real-time communication
+io.use(authenticateSocket);
+
+// Clients may omit the acknowledgement callback or send something else there
+const toAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  const user = socket.data.user;
+  console.log(`User ${user._id} connected:`, socket.id);
+
+  // Personal room for notifications addressed to this user
+  socket.join(`user-${user._id}`);
 
   // Join classroom room
-  socket.on('join-classroom', (classroomId) => {
-    socket.join(`classroom-${classroomId}`);
-    console.log(`User ${socket.id} joined classroom ${classroomId}`);
+  socket.on('join-classroom', async (classroomId, ack) => {
+    const reply = toAck(ack);
+    try {
+      const { error } = await authorizeClassroom(socket, classroomId);
+      if (error) {
+        return reply({ ok: false, ...error });
+      }
+
+      socket.join(`classroom-${classroomId}`);
+      console.log(`User ${socket.id} joined classroom ${classroomId}`);
+      reply({ ok: true });
+    } catch (error) {
+      console.error('Join classroom socket error:', error);
+      reply({ ok: false, message: 'Failed to join classroom', code: 'JOIN_CLASSROOM_ERROR' });
+    }
   });
 
   // Leave classroom room
@@ -71,16 +137,46 @@ io.on('connection', (socket) => {
     console.log(`User ${socket.id} left classroom ${classroomId}`);
   });
 
-  // Handle attendance marking
-  socket.on('mark-attendance', (data) => {
-    // Broadcast to all users in the classroom
-    socket.to(`classroom-${data.classroomId}`).emit('attendance-update', data);
+  // Handle attendance request (owning teacher or admin only)
+  socket.on('trigger-attendance', async (data = {}, ack) => {
+    const reply = toAck(ack);
+    try {
+      const { error } = await authorizeClassroom(socket, data.classroomId, { permission: 'sessions:run' });
+      if (error) {
+        return reply({ ok: false, ...error });
+      }
+
+      // Broadcast attendance request to all students in classroom
+      socket.to(`classroom-${data.classroomId}`).emit('attendance-request', {
+        ...data,
+        triggeredBy: user._id
+      });
+      reply({ ok: true });
+    } catch (error) {
+      console.error('Trigger attendance socket error:', error);
+      reply({ ok: false, message: 'Failed to trigger attendance', code: 'TRIGGER_ATTENDANCE_ERROR' });
+    }
   });
 
-  // Handle attendance request
-  socket.on('trigger-attendance', (data) => {
-    // Broadcast attendance request to all students in classroom
-    socket.to(`classroom-${data.classroomId}`).emit('attendance-request', data);
+  // Attendance updates are emitted by the server once a mark is saved;
+  // client-sent `mark-attendance` events are only relayed for the classroom's staff
+  socket.on('mark-attendance', async (data = {}, ack) => {
+    const reply = toAck(ack);
+    try {
+      const { error } = await authorizeClassroom(socket, data.classroomId, { permission: 'sessions:run' });
+      if (error) {
+        return reply({ ok: false, ...error });
+      }
+
+      socket.to(`classroom-${data.classroomId}`).emit('attendance-update', {
+        ...data,
+        markedBy: user._id
+      });
+      reply({ ok: true });
+    } catch (error) {
+      console.error('Mark attendance socket error:', error);
+      reply({ ok: false, message: 'Failed to relay attendance update', code: 'MARK_ATTENDANCE_ERROR' });
+    }
   });
 
   socket.on('disconnect', () => {
@@ -114,6 +210,21 @@ app.use('*', (req, res) => {
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Session lifecycle job (set SCHEDULER_ENABLED=false on instances that should not run it)
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startAttendanceScheduler(io);
+  }
+
+  // Webhook deliveries (WEBHOOKS_ENABLED=false to leave them to other instances)
+  if (process.env.WEBHOOKS_ENABLED !== 'false') {
+    startWebhookDispatcher();
+  }
+
+  // Nightly LMS roster and grade sync of auto-sync course links
+  if (process.env.LMS_SYNC_ENABLED !== 'false') {
+    startLmsScheduler();
+  }
 });
 
 module.exports = { app, io };
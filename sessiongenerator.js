@@ -0,0 +1,166 @@
+const AttendanceSession = require('../models/AttendanceSession');
+const { collegeDay, collegeTime } = require('./collegeTime');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Combine a calendar day with an "HH:mm" time from the timetable; the day
+// is a moment in the college offset, so the time is college time too
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return day.clone().hours(hours).minutes(minutes || 0).seconds(0).milliseconds(0);
+};
+
+// Index exception entries by the timetable date they apply to
+const indexExceptions = (exceptions = []) => {
+  const byDate = new Map();
+  for (const exception of exceptions) {
+    byDate.set(collegeDay(exception.date).format(DATE_FORMAT), exception);
+  }
+  return byDate;
+};
+
+// Work out every occurrence of the classroom timetable within a term
+// Each occurrence is keyed by its timetable date, even when rescheduled
+const planOccurrences = (classroom, { termStart, termEnd, exceptions }) => {
+  const { days = [], startTime, endTime, duration } = classroom.schedule;
+  const exceptionsByDate = indexExceptions(exceptions);
+  const occurrences = [];
+
+  const last = collegeDay(termEnd);
+  for (const day = collegeDay(termStart); day.isSameOrBefore(last); day.add(1, 'day')) {
+    if (!days.includes(day.format('dddd').toLowerCase())) continue;
+
+    const occurrenceDate = day.format(DATE_FORMAT);
+    const exception = exceptionsByDate.get(occurrenceDate);
+    if (exception && exception.action === 'skip') continue;
+
+    const actualDay = exception && exception.newDate ? collegeDay(exception.newDate) : day.clone();
+    const start = atTime(actualDay, (exception && exception.startTime) || startTime);
+    // A new start time without a new end time keeps the usual class length
+    const end = exception && exception.startTime && !exception.endTime
+      ? start.clone().add(duration || 60, 'minutes')
+      : atTime(actualDay, (exception && exception.endTime) || endTime);
+
+    occurrences.push({
+      occurrenceDate,
+      scheduledDate: actualDay.toDate(),
+      startTime: start.toDate(),
+      endTime: end.toDate()
+    });
+  }
+
+  return occurrences;
+};
+
+// Session fields inherited from the classroom's settings and location
+const inheritedFields = (classroom, occurrence) => {
+  const { settings = {}, location } = classroom;
+  const windowMinutes = settings.attendanceWindow || 5;
+
+  return {
+    title: `${classroom.name} - ${collegeTime(occurrence.scheduledDate).format('ddd, D MMM YYYY')}`,
+    scheduledDate: occurrence.scheduledDate,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    attendanceWindow: {
+      start: occurrence.startTime,
+      end: new Date(occurrence.startTime.getTime() + windowMinutes * 60 * 1000)
+    },
+    settings: {
+      allowLateAttendance: settings.allowLateAttendance,
+      requireLocation: settings.requireLocation,
+      requireBiometric: settings.requireBiometric,
+      autoMarkAbsent: settings.autoMarkAbsent,
+      allowOfflineMarking: settings.allowOfflineMarking,
+      attendanceWindowMinutes: windowMinutes
+    },
+    location: {
+      name: location.name,
+      coordinates: {
+        latitude: location.coordinates.latitude,
+        longitude: location.coordinates.longitude
+      },
+      radius: location.radius,
+      geofence: location.geofence && location.geofence.type
+        ? { type: location.geofence.type, coordinates: location.geofence.coordinates }
+        : undefined
+    }
+  };
+};
+
+// Materialise sessions for a term from the classroom timetable
+// Re-running only creates missing occurrences and refreshes ones that are
+// still scheduled; sessions that have started, finished or were cancelled
+// by hand are left alone.
+const generateSessions = async (classroom, { termStart, termEnd, exceptions = [], actor, dryRun = false }) => {
+  const occurrences = planOccurrences(classroom, { termStart, termEnd, exceptions });
+  const planned = new Set(occurrences.map(o => o.occurrenceDate));
+
+  const existing = await AttendanceSession.find({
+    classroom: classroom._id,
+    occurrenceDate: {
+      $gte: collegeDay(termStart).format(DATE_FORMAT),
+      $lte: collegeDay(termEnd).format(DATE_FORMAT)
+    }
+  });
+  const existingByDate = new Map(existing.map(session => [session.occurrenceDate, session]));
+
+  const result = { created: [], updated: [], cancelled: [], unchanged: [] };
+
+  for (const occurrence of occurrences) {
+    const session = existingByDate.get(occurrence.occurrenceDate);
+    const fields = inheritedFields(classroom, occurrence);
+
+    if (!session) {
+      result.created.push(occurrence.occurrenceDate);
+      if (dryRun) continue;
+
+      try {
+        await AttendanceSession.create({
+          ...fields,
+          classroom: classroom._id,
+          teacher: classroom.teacher,
+          createdBy: actor._id,
+          occurrenceDate: occurrence.occurrenceDate
+        });
+      } catch (error) {
+        // Another generation run created it first
+        if (error.code !== 11000) throw error;
+        result.created.pop();
+        result.unchanged.push(occurrence.occurrenceDate);
+      }
+      continue;
+    }
+
+    if (session.status !== 'scheduled') {
+      result.unchanged.push(occurrence.occurrenceDate);
+      continue;
+    }
+
+    session.set(fields);
+    const changed = session.isModified();
+    result[changed ? 'updated' : 'unchanged'].push(occurrence.occurrenceDate);
+
+    if (changed && !dryRun) {
+      await session.save();
+    }
+  }
+
+  // Scheduled occurrences that are no longer in the timetable (skipped
+  // holidays, dropped weekdays) are cancelled rather than deleted
+  for (const session of existing) {
+    if (planned.has(session.occurrenceDate) || session.status !== 'scheduled') continue;
+
+    result.cancelled.push(session.occurrenceDate);
+    if (!dryRun) {
+      await session.cancelSession({ actor, reason: 'Removed from the classroom timetable' });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  planOccurrences,
+  generateSessions
+};
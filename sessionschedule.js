@@ -0,0 +1,77 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateToken, requireTeacherOrAdmin, requireClassroomAccess, canManageClassroom } = require('../middleware/auth');
+const { generateSessions } = require('../utils/sessionGenerator');
+
+const router = express.Router();
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation schemas
+const generateSchema = Joi.object({
+  termStart: Joi.date().required(),
+  termEnd: Joi.date().min(Joi.ref('termStart')).required(),
+  exceptions: Joi.array().items(Joi.object({
+    date: Joi.date().required(),
+    action: Joi.string().valid('skip', 'reschedule').required(),
+    newDate: Joi.date().when('action', { is: 'skip', then: Joi.forbidden() }),
+    startTime: Joi.string().pattern(timePattern).when('action', { is: 'skip', then: Joi.forbidden() }),
+    endTime: Joi.string().pattern(timePattern).when('action', { is: 'skip', then: Joi.forbidden() }),
+    reason: Joi.string().max(200).optional()
+  })).default([]),
+  dryRun: Joi.boolean().default(false)
+});
+
+// Generate (or regenerate) a term's sessions from the classroom timetable
+router.post('/classrooms/:classroomId/generate', authenticateToken, requireTeacherOrAdmin, requireClassroomAccess, async (req, res) => {
+  try {
+    const { error, value } = generateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+    if (!canManageClassroom(req.user, classroom)) {
+      return res.status(403).json({
+        message: 'Access denied to this classroom',
+        code: 'CLASSROOM_ACCESS_DENIED'
+      });
+    }
+
+    if (!classroom.schedule || !classroom.schedule.days || classroom.schedule.days.length === 0) {
+      return res.status(400).json({
+        message: 'Classroom has no timetable to generate sessions from',
+        code: 'SCHEDULE_NOT_SET'
+      });
+    }
+
+    const result = await generateSessions(classroom, {
+      ...value,
+      actor: req.user
+    });
+
+    res.status(value.dryRun ? 200 : 201).json({
+      message: value.dryRun ? 'Session generation preview' : 'Sessions generated successfully',
+      dryRun: value.dryRun,
+      counts: {
+        created: result.created.length,
+        updated: result.updated.length,
+        cancelled: result.cancelled.length,
+        unchanged: result.unchanged.length
+      },
+      occurrences: result
+    });
+
+  } catch (error) {
+    console.error('Generate sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to generate sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const { getUserFromToken } = require('./auth');
+const { hasClassroomPermission } = require('../utils/permissions');
+const { getUnverifiedPolicy } = require('../utils/accountVerification');
+
+// Build a handshake/authorization error the client receives in `connect_error`
+const socketError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Verify the JWT sent with the Socket.io handshake
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(socketError('Access token required', 'NO_TOKEN'));
+    }
+
+    const user = await getUserFromToken(token);
+
+    if (!user) {
+      return next(socketError('Invalid token - user not found', 'INVALID_TOKEN'));
+    }
+
+    if (!user.isActive) {
+      return next(socketError('Account is deactivated', 'ACCOUNT_DEACTIVATED'));
+    }
+
+    if (user.isLocked) {
+      return next(socketError('Account is locked due to multiple failed login attempts', 'ACCOUNT_LOCKED'));
+    }
+
+    if (!user.isVerified && getUnverifiedPolicy() === 'block-all') {
+      return next(socketError('Email not verified. Please verify your email first.', 'EMAIL_NOT_VERIFIED'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenRevokedError') {
+      return next(socketError('Token has been revoked', 'TOKEN_REVOKED'));
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return next(socketError('Invalid token', 'INVALID_TOKEN'));
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return next(socketError('Token expired', 'TOKEN_EXPIRED'));
+    }
+
+    console.error('Socket auth error:', error);
+    next(socketError('Authentication error', 'AUTH_ERROR'));
+  }
+};
+
+// Load a classroom and check the socket's user against it
+// Resolves to { classroom } or { error: { message, code } }
+const authorizeClassroom = async (socket, classroomId, { permission = 'classroom:view' } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+    return { error: { message: 'Classroom not found', code: 'CLASSROOM_NOT_FOUND' } };
+  }
+
+  const classroom = await Classroom.findById(classroomId);
+  if (!classroom) {
+    return { error: { message: 'Classroom not found', code: 'CLASSROOM_NOT_FOUND' } };
+  }
+
+  if (!hasClassroomPermission(socket.data.user, permission, classroom)) {
+    return { error: { message: 'Access denied to this classroom', code: 'CLASSROOM_ACCESS_DENIED' } };
+  }
+
+  return { classroom };
+};
+
+module.exports = {
+  authenticateSocket,
+  authorizeClassroom
+};
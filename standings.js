@@ -0,0 +1,273 @@
+const express = require('express');
+const Joi = require('joi');
+const AttendanceSession = require('../models/AttendanceSession');
+const AttendanceStanding = require('../models/AttendanceStanding');
+const EligibilityPolicy = require('../models/EligibilityPolicy');
+const { authenticateToken, requireClassroomAccess, requirePermission } = require('../middleware/auth');
+const {
+  getDefaultThresholds,
+  resolveThresholds,
+  updateClassroomStandings,
+  notifyStandingChanges
+} = require('../utils/eligibility');
+const { resolveWeighting, weightedPercentage } = require('../utils/attendanceWeighting');
+const { io } = require('../server');
+
+const router = express.Router();
+
+// Validation schemas
+const percentage = Joi.number().min(0).max(100);
+
+const classroomThresholdsSchema = Joi.object({
+  minimumPercentage: percentage.allow(null).optional(),
+  warningPercentage: percentage.allow(null).optional()
+}).min(1);
+
+const weightingSchema = Joi.object({
+  lateWeight: Joi.number().min(0).max(1).optional(),
+  excusedWeight: Joi.number().min(0).max(1).allow(null).optional()
+}).min(1);
+
+const departmentPolicySchema = Joi.object({
+  minimumPercentage: percentage.required(),
+  warningPercentage: percentage.min(Joi.ref('minimumPercentage')).required()
+});
+
+const formatStanding = (standing) => ({
+  student: standing.student,
+  classroom: standing.classroom,
+  attended: standing.attended,
+  total: standing.total,
+  percentage: standing.percentage,
+  status: standing.status,
+  minimumPercentage: standing.minimumPercentage,
+  warningPercentage: standing.warningPercentage,
+  classesNeeded: standing.classesNeeded,
+  classesCanMiss: standing.classesCanMiss,
+  computedAt: standing.computedAt
+});
+
+// Own standings across classrooms
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const standings = await AttendanceStanding.find({ student: req.user._id })
+      .populate('classroom', 'name subject code')
+      .sort({ percentage: 1 });
+
+    res.json({ standings: standings.map(formatStanding) });
+
+  } catch (error) {
+    console.error('Get own standings error:', error);
+    res.status(500).json({
+      message: 'Failed to get attendance standings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Standings of a classroom's students, lowest first
+router.get('/classrooms/:classroomId', authenticateToken, requireClassroomAccess, requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { classroom: req.classroom._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [standings, thresholds] = await Promise.all([
+      AttendanceStanding.find(query)
+        .populate('student', 'firstName lastName email studentId')
+        .sort({ percentage: 1 }),
+      resolveThresholds(req.classroom)
+    ]);
+
+    res.json({
+      thresholds,
+      weighting: resolveWeighting(req.classroom),
+      standings: standings.map(formatStanding)
+    });
+
+  } catch (error) {
+    console.error('Get classroom standings error:', error);
+    res.status(500).json({
+      message: 'Failed to get attendance standings',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set or clear a classroom's thresholds, then recompute its standings
+router.put('/classrooms/:classroomId/thresholds', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { error, value } = classroomThresholdsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+    Object.entries(value).forEach(([field, threshold]) => {
+      classroom.settings.eligibility[field] = threshold;
+    });
+
+    const { minimumPercentage, warningPercentage } = classroom.settings.eligibility;
+    if (minimumPercentage !== null && warningPercentage !== null && warningPercentage < minimumPercentage) {
+      return res.status(400).json({
+        message: 'Warning threshold must not be below the minimum',
+        code: 'INVALID_THRESHOLDS'
+      });
+    }
+
+    await classroom.save();
+
+    const thresholds = await resolveThresholds(classroom);
+    const crossings = await updateClassroomStandings(classroom);
+    await notifyStandingChanges(io, classroom, crossings);
+
+    res.json({
+      message: 'Eligibility thresholds updated',
+      thresholds,
+      alerted: crossings.length
+    });
+
+  } catch (error) {
+    console.error('Update classroom thresholds error:', error);
+    res.status(500).json({
+      message: 'Failed to update eligibility thresholds',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set how late and excused records count in this classroom's percentages,
+// then recompute its standings
+router.put('/classrooms/:classroomId/weighting', authenticateToken, requireClassroomAccess, requirePermission('classroom:manage'), async (req, res) => {
+  try {
+    const { error, value } = weightingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const classroom = req.classroom;
+    Object.entries(value).forEach(([field, weight]) => {
+      classroom.settings.attendanceWeighting[field] = weight;
+    });
+    await classroom.save();
+
+    // Stored session percentages follow the new weighting too
+    const weighting = resolveWeighting(classroom);
+    const sessions = await AttendanceSession.find({ classroom: classroom._id }).select('statistics');
+    if (sessions.length > 0) {
+      await AttendanceSession.bulkWrite(sessions.map(session => ({
+        updateOne: {
+          filter: { _id: session._id },
+          update: {
+            $set: {
+              'statistics.attendancePercentage': weightedPercentage({
+                present: session.statistics.presentCount,
+                late: session.statistics.lateCount,
+                absent: session.statistics.absentCount,
+                excused: session.statistics.excusedCount
+              }, weighting) ?? 0
+            }
+          }
+        }
+      })));
+    }
+
+    const crossings = await updateClassroomStandings(classroom);
+    await notifyStandingChanges(io, classroom, crossings);
+
+    res.json({
+      message: 'Attendance weighting updated',
+      weighting,
+      alerted: crossings.length
+    });
+
+  } catch (error) {
+    console.error('Update attendance weighting error:', error);
+    res.status(500).json({
+      message: 'Failed to update attendance weighting',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Department policies and the defaults
+router.get('/departments', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const policies = await EligibilityPolicy.find().sort({ department: 1 });
+
+    res.json({
+      defaults: getDefaultThresholds(),
+      policies
+    });
+
+  } catch (error) {
+    console.error('Get eligibility policies error:', error);
+    res.status(500).json({
+      message: 'Failed to get eligibility policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Set a department's thresholds; standings pick them up after the next session
+router.put('/departments/:department', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = departmentPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const policy = await EligibilityPolicy.findOneAndUpdate(
+      { department: req.params.department },
+      { $set: { ...value, updatedBy: req.user._id } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Eligibility policy saved',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Save eligibility policy error:', error);
+    res.status(500).json({
+      message: 'Failed to save eligibility policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove a department's thresholds so the defaults apply
+router.delete('/departments/:department', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await EligibilityPolicy.deleteOne({ department: req.params.department });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        message: 'No eligibility policy for this department',
+        code: 'POLICY_NOT_FOUND'
+      });
+    }
+
+    res.json({ message: 'Eligibility policy removed' });
+
+  } catch (error) {
+    console.error('Delete eligibility policy error:', error);
+    res.status(500).json({
+      message: 'Failed to remove eligibility policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
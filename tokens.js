@@ -0,0 +1,310 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { authenticateToken, requireAdmin, rateLimitByUser } = require('../middleware/auth');
+const { signAccessToken, ACCESS_TOKEN_TTL } = require('../utils/jwtKeys');
+const { getUnverifiedPolicy } = require('../utils/accountVerification');
+
+const router = express.Router();
+
+// Validation schemas
+const tokenSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required(),
+  deviceName: Joi.string().max(100).optional()
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const clientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Access and refresh token pair for a device session
+const tokenResponse = (user, session, refreshToken) => ({
+  accessToken: signAccessToken(user._id, session._id),
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
+
+// Sign in a device: returns an access token and a rotating refresh token
+router.post('/token', rateLimitByUser(5, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { email, password, deviceName } = value;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(401).json({
+        message: 'Account is locked due to multiple failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (!user.isVerified && getUnverifiedPolicy() === 'block-all') {
+      return res.status(401).json({
+        message: 'Email not verified. Please verify your email first.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.incLoginAttempts({ ipAddress: clientIp(req) });
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { session, refreshToken } = await AuthSession.start(user, {
+      deviceName,
+      userAgent: req.headers['user-agent'],
+      ipAddress: clientIp(req)
+    });
+
+    res.json({
+      message: 'Login successful',
+      ...tokenResponse(user, session, refreshToken),
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        isVerified: user.isVerified,
+        lastLogin: user.lastLogin
+      }
+    });
+
+  } catch (error) {
+    console.error('Token login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/token/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const rotated = await AuthSession.rotate(value.refreshToken, { ipAddress: clientIp(req) });
+    if (!rotated.valid) {
+      return res.status(401).json({
+        message: rotated.reason,
+        code: rotated.code
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive || user.isLocked) {
+      await rotated.session.revoke('revoked');
+      return res.status(401).json({
+        message: 'Account is not allowed to sign in',
+        code: user && user.isLocked ? 'ACCOUNT_LOCKED' : 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    res.json(tokenResponse(user, rotated.session, rotated.refreshToken));
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out this device
+router.post('/token/revoke', authenticateToken, async (req, res) => {
+  try {
+    if (req.authSessionId) {
+      await AuthSession.updateOne(
+        { _id: req.authSessionId, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
+    res.json({ message: 'Logout successful' });
+
+  } catch (error) {
+    console.error('Token revoke error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List the signed-in devices of the current user
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AuthSession.listActive(req.user._id);
+
+    res.json({
+      devices: sessions.map(session => formatSession(session, req.authSessionId))
+    });
+
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/devices/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({
+        message: 'Device session not found',
+        code: 'DEVICE_SESSION_NOT_FOUND'
+      });
+    }
+
+    const result = await AuthSession.updateOne(
+      { _id: req.params.sessionId, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        message: 'Device session not found',
+        code: 'DEVICE_SESSION_NOT_FOUND'
+      });
+    }
+
+    res.json({ message: 'Device signed out' });
+
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      message: 'Failed to sign out device',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out every device; ?keepCurrent=true keeps this one signed in
+router.delete('/devices', authenticateToken, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' && !!req.authSessionId;
+
+    const result = await AuthSession.revokeAllForUser(req.user._id, {
+      except: keepCurrent ? req.authSessionId : undefined
+    });
+
+    // Also cut off access tokens not tied to a device session
+    if (!keepCurrent) {
+      await User.updateOne({ _id: req.user._id }, { $set: { tokensRevokedAt: new Date() } });
+    }
+
+    res.json({
+      message: keepCurrent ? 'Other devices signed out' : 'All devices signed out',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke all devices error:', error);
+    res.status(500).json({
+      message: 'Failed to sign out devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Admin: sign a user out everywhere (lost phone, compromised account)
+router.delete('/users/:userId/devices', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: { tokensRevokedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const result = await AuthSession.revokeAllForUser(user._id);
+
+    res.json({
+      message: 'User signed out of all devices',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Admin revoke devices error:', error);
+    res.status(500).json({
+      message: 'Failed to sign out user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
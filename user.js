@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { POSITION_TEMPLATES, isValidGrant } = require('../utils/permissions');
+const { getLockoutPolicy, nextLockDurationMs, notifyAccountLocked } = require('../utils/accountLockout');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -45,14 +47,6 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationCode: {
-    type: String,
-    default: null
-  },
-  verificationCodeExpires: {
-    type: Date,
-    default: null
-  },
   faceId: {
     type: String,
     default: null
@@ -61,6 +55,16 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Face descriptor computed on the server at enrollment
+  faceDescriptor: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+  faceEnrolledAt: {
+    type: Date,
+    default: null
+  },
   // For students
   studentId: {
     type: String,
@@ -90,8 +94,18 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Extra grants on top of the role, e.g. 'attendance:edit@department'
   permissions: [{
-    type: String
+    type: String,
+    validate: {
+      validator: isValidGrant,
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  // Position templates (hod, exam_cell, auditor) layered on the role
+  permissionTemplates: [{
+    type: String,
+    enum: POSITION_TEMPLATES
   }],
   lastLogin: {
     type: Date,
@@ -104,6 +118,20 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  // Locks so far, for progressive lock durations
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // Access tokens issued before this are rejected (sign out everywhere)
+  tokensRevokedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -138,8 +166,8 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
-// Increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+// Increment login attempts, locking the account once the policy's limit is hit
+userSchema.methods.incLoginAttempts = async function({ ipAddress } = {}) {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
     return this.updateOne({
@@ -148,20 +176,44 @@ userSchema.methods.incLoginAttempts = function() {
     });
   }
   
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
+  const { maxAttempts, resetHours } = getLockoutPolicy();
+  if (this.loginAttempts + 1 < maxAttempts || this.isLocked) {
+    return this.updateOne({ $inc: { loginAttempts: 1 } });
   }
-  
-  return this.updateOne(updates);
+
+  // Locks long after the previous one start again from the shortest duration
+  const now = new Date();
+  const recentLock = this.lockedAt && now - this.lockedAt < resetHours * 60 * 60 * 1000;
+  const previousLocks = recentLock ? this.lockCount : 0;
+  const lockUntil = new Date(now.getTime() + nextLockDurationMs(previousLocks));
+
+  // Conditional so concurrent failures lock (and notify) only once
+  const result = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    {
+      $inc: { loginAttempts: 1 },
+      $set: { lockUntil, lockedAt: now, lockCount: previousLocks + 1 }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    await notifyAccountLocked(this, { lockUntil, lockCount: previousLocks + 1, ipAddress });
+  }
+  return result;
+};
+
+// Clear a lock early; the lock history still counts towards the next lock
+userSchema.methods.unlock = function() {
+  return this.updateOne({
+    $set: { loginAttempts: 0, lockUntil: null }
+  });
 };
 
-// Reset login attempts
+// Reset login attempts (and the lock history) after a successful login
 userSchema.methods.resetLoginAttempts = function() {
   return this.updateOne({
-    $unset: { loginAttempts: 1, lockUntil: 1 }
+    $unset: { loginAttempts: 1, lockUntil: 1 },
+    $set: { lockCount: 0 }
   });
 };
 
@@ -174,8 +226,7 @@ userSchema.virtual('fullName').get(function() {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
-  delete user.verificationCode;
-  delete user.verificationCodeExpires;
+  delete user.faceDescriptor;
   return user;
 };
 
@@ -0,0 +1,179 @@
+const express = require('express');
+const Joi = require('joi');
+const User = require('../models/User');
+const AccountCode = require('../models/AccountCode');
+const AuthSession = require('../models/AuthSession');
+const DeviceKey = require('../models/DeviceKey');
+const { rateLimitByUser } = require('../middleware/auth');
+const { sendAccountCode } = require('../utils/accountVerification');
+const { sendTemplate } = require('../utils/mailer');
+
+const router = express.Router();
+
+// Validation schemas
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const confirmSchema = Joi.object({
+  email: Joi.string().email().required(),
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const resetSchema = Joi.object({
+  email: Joi.string().email().required(),
+  code: Joi.string().pattern(/^\d{6}$/).required(),
+  password: Joi.string().min(6).required()
+});
+
+// Same reply whether or not the account exists, so emails can't be probed
+const CODE_SENT_MESSAGE = 'If an account exists for this email, a code has been sent.';
+
+const validate = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      message: 'Validation error',
+      errors: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+  return value;
+};
+
+// Reply for a code that failed to verify
+const sendCodeError = (res, result) => res.status(400).json({
+  message: result.reason,
+  code: result.code,
+  attemptsRemaining: result.attemptsRemaining
+});
+
+// Send (or resend) an email verification code
+router.post('/verification/send', rateLimitByUser(5, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const value = validate(emailSchema, req, res);
+    if (!value) return;
+
+    const user = await User.findOne({ email: value.email });
+    if (user && !user.isVerified) {
+      const sent = await sendAccountCode(user, 'verify_email');
+      if (!sent.issued) {
+        console.warn(`Verification code not sent to ${user.email}: ${sent.code}`);
+      }
+    }
+
+    res.json({ message: CODE_SENT_MESSAGE });
+
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    res.status(500).json({
+      message: 'Failed to send verification code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Verify an email address with its code
+router.post('/verification/confirm', rateLimitByUser(10, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const value = validate(confirmSchema, req, res);
+    if (!value) return;
+
+    const user = await User.findOne({ email: value.email });
+    if (!user) {
+      return sendCodeError(res, { code: 'CODE_NOT_ISSUED', reason: 'No active code. Please request a new one.' });
+    }
+
+    if (user.isVerified) {
+      return res.json({ message: 'Email already verified' });
+    }
+
+    const result = await AccountCode.consume(user, 'verify_email', value.code);
+    if (!result.valid) {
+      return sendCodeError(res, result);
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    console.error('Confirm verification error:', error);
+    res.status(500).json({
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send a password reset code
+router.post('/password/forgot', rateLimitByUser(5, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const value = validate(emailSchema, req, res);
+    if (!value) return;
+
+    const user = await User.findOne({ email: value.email });
+    if (user && user.isActive) {
+      const sent = await sendAccountCode(user, 'reset_password');
+      if (!sent.issued) {
+        console.warn(`Password reset code not sent to ${user.email}: ${sent.code}`);
+      }
+    }
+
+    res.json({ message: CODE_SENT_MESSAGE });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Failed to send password reset code',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reset the password with a code; signs the user out everywhere
+router.post('/password/reset', rateLimitByUser(10, 15 * 60 * 1000), async (req, res) => {
+  try {
+    const value = validate(resetSchema, req, res);
+    if (!value) return;
+
+    const user = await User.findOne({ email: value.email });
+    if (!user || !user.isActive) {
+      return sendCodeError(res, { code: 'CODE_NOT_ISSUED', reason: 'No active code. Please request a new one.' });
+    }
+
+    const result = await AccountCode.consume(user, 'reset_password', value.code);
+    if (!result.valid) {
+      return sendCodeError(res, result);
+    }
+
+    // Receiving the code proves the address too
+    user.password = value.password;
+    user.isVerified = true;
+    user.tokensRevokedAt = new Date();
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    await AuthSession.revokeAllForUser(user._id, { reason: 'password_reset' });
+    await DeviceKey.revokeAllForUser(user._id, { reason: 'password_reset' });
+
+    try {
+      await sendTemplate('password-changed', user.email, { user });
+    } catch (emailError) {
+      console.error('Password changed email error:', emailError);
+    }
+
+    res.json({ message: 'Password reset successfully. Please sign in again.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Password reset failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { processDueDeliveries } = require('../utils/webhooks');
+
+// Every 5 seconds by default so first attempts go out promptly
+const DEFAULT_CRON = '*/5 * * * * *';
+
+// Each delivery is claimed with a conditional update before it is sent, so
+// several instances can run this job side by side.
+
+// Schedule the webhook delivery job; returns the cron task so callers can stop it
+const startWebhookDispatcher = (expression = process.env.WEBHOOK_CRON || DEFAULT_CRON) => {
+  let running = false;
+
+  const task = cron.schedule(expression, async () => {
+    // Skip the tick if the previous one is still working
+    if (running) return;
+    running = true;
+
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook dispatcher error:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log(`Webhook dispatcher running (${expression})`);
+  return task;
+};
+
+module.exports = {
+  startWebhookDispatcher
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+
+// An external URL that receives signed POSTs for the events it subscribes to
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Signing key, shown once when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  // Deliveries that ran out of attempts since the last success; the
+  // endpoint is turned off when this reaches the configured limit
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Why the endpoint was turned off automatically
+  disabledReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+
+webhookEndpointSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+};
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
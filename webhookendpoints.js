@@ -0,0 +1,323 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, WEBHOOK_EVENT_DESCRIPTIONS, PING_EVENT } = require('../utils/webhookEvents');
+const { dispatchDelivery, redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Validation schemas
+const url = Joi.string().uri({ scheme: ['http', 'https'] });
+const events = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).unique().min(1);
+
+const createEndpointSchema = Joi.object({
+  url: url.required(),
+  events: events.required(),
+  description: Joi.string().max(200).allow(null, '').optional()
+});
+
+const updateEndpointSchema = Joi.object({
+  url: url.optional(),
+  events: events.optional(),
+  description: Joi.string().max(200).allow(null, '').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const formatEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  isActive: endpoint.isActive,
+  lastDeliveryAt: endpoint.lastDeliveryAt,
+  lastDeliveryStatus: endpoint.lastDeliveryStatus,
+  consecutiveFailures: endpoint.consecutiveFailures,
+  disabledReason: endpoint.disabledReason,
+  createdBy: endpoint.createdBy,
+  createdAt: endpoint.createdAt
+});
+
+const formatDelivery = (delivery, { full = false } = {}) => ({
+  id: delivery._id,
+  endpoint: delivery.endpoint,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  lastAttemptAt: delivery.lastAttemptAt,
+  responseStatus: delivery.responseStatus,
+  error: delivery.error,
+  durationMs: delivery.durationMs,
+  deliveredAt: delivery.deliveredAt,
+  redeliveryOf: delivery.redeliveryOf,
+  createdAt: delivery.createdAt,
+  ...(full ? { payload: delivery.payload, responseBody: delivery.responseBody } : {})
+});
+
+// Load :endpointId into req.endpoint
+const loadEndpoint = async (req, res, next) => {
+  try {
+    const { endpointId } = req.params;
+    const endpoint = mongoose.Types.ObjectId.isValid(endpointId)
+      ? await WebhookEndpoint.findById(endpointId)
+      : null;
+
+    if (!endpoint) {
+      return res.status(404).json({
+        message: 'Webhook endpoint not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    req.endpoint = endpoint;
+    next();
+  } catch (error) {
+    console.error('Load webhook endpoint error:', error);
+    res.status(500).json({
+      message: 'Failed to load webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Catalog of subscribable events
+router.get('/events', authenticateToken, requireAdmin, (req, res) => {
+  res.json({ events: WEBHOOK_EVENT_DESCRIPTIONS });
+});
+
+// List endpoints
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 });
+    res.json({ endpoints: endpoints.map(endpoint => formatEndpoint(endpoint)) });
+
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      message: 'Failed to list webhook endpoints',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Register an endpoint; the signing secret is only returned here
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createEndpointSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const secret = WebhookEndpoint.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      ...value,
+      secret,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Webhook endpoint registered',
+      endpoint: formatEndpoint(endpoint),
+      secret
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to register webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update an endpoint's URL, events, description or active flag
+router.put('/:endpointId', authenticateToken, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    const { error, value } = updateEndpointSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    req.endpoint.set(value);
+    // Turning an endpoint back on gives it a fresh start
+    if (value.isActive === true) {
+      req.endpoint.set({ consecutiveFailures: 0, disabledReason: null });
+    }
+    await req.endpoint.save();
+
+    res.json({
+      message: 'Webhook endpoint updated',
+      endpoint: formatEndpoint(req.endpoint)
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to update webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Replace the signing secret; the old one stops working immediately
+router.post('/:endpointId/rotate-secret', authenticateToken, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    const secret = WebhookEndpoint.generateSecret();
+    req.endpoint.secret = secret;
+    await req.endpoint.save();
+
+    res.json({
+      message: 'Webhook secret rotated',
+      secret
+    });
+
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      message: 'Failed to rotate webhook secret',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Remove an endpoint; its queued deliveries fail when they come up
+router.delete('/:endpointId', authenticateToken, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    await req.endpoint.deleteOne();
+    res.json({ message: 'Webhook endpoint removed' });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to remove webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send a ping to an endpoint now and report the result
+router.post('/:endpointId/test', authenticateToken, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.create({
+      endpoint: req.endpoint._id,
+      event: PING_EVENT,
+      payload: { endpointId: req.endpoint._id, message: 'Webhook test from Attendance Management' },
+      requestedBy: req.user._id
+    });
+    const sent = await dispatchDelivery(delivery._id);
+
+    res.json({ delivery: formatDelivery(sent || delivery, { full: true }) });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to test webhook endpoint',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delivery log of an endpoint, newest first
+router.get('/:endpointId/deliveries', authenticateToken, requireAdmin, loadEndpoint, async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 50 } = req.query;
+    const query = { endpoint: req.endpoint._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      deliveries: deliveries.map(delivery => formatDelivery(delivery)),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      message: 'Failed to list webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// One delivery with its payload and the endpoint's response
+router.get('/deliveries/:deliveryId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+      ? await WebhookDelivery.findById(deliveryId)
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    res.json({ delivery: formatDelivery(delivery, { full: true }) });
+
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      message: 'Failed to get webhook delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send a delivery again as a new delivery, right away
+router.post('/deliveries/:deliveryId/redeliver', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+      ? await WebhookDelivery.findById(deliveryId)
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    const copy = await redeliver(delivery, req.user);
+
+    res.json({
+      message: copy.status === 'succeeded' ? 'Delivery sent' : 'Delivery queued for retry',
+      delivery: formatDelivery(copy, { full: true })
+    });
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to redeliver webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// Events webhook endpoints can subscribe to
+const WEBHOOK_EVENT_DESCRIPTIONS = {
+  'session.started': 'An attendance session started, manually or on schedule',
+  'session.ended': 'An attendance session ended',
+  'attendance.marked': 'An attendance record was created, including automatic absences',
+  'attendance.edited': 'An attendance record was changed after it was created',
+  'user.locked': 'An account was locked after repeated failed sign-ins'
+};
+
+const WEBHOOK_EVENTS = Object.keys(WEBHOOK_EVENT_DESCRIPTIONS);
+
+// Sent only by the test endpoint; it can't be subscribed to
+const PING_EVENT = 'webhook.ping';
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_DESCRIPTIONS,
+  PING_EVENT
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const getWebhookConfig = () => ({
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  backoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 30 * 1000,
+  backoffMaxMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS, 10) || 6 * 60 * 60 * 1000,
+  disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 5
+});
+
+// Response bodies are kept only this long in the delivery log
+const MAX_RESPONSE_BODY = 1000;
+
+// Delay before retry number `attempt` (1 = the first retry): doubles each
+// time from the base, capped at the maximum
+const backoffDelay = (attempt, { backoffBaseMs, backoffMaxMs } = getWebhookConfig()) => {
+  return Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempt - 1));
+};
+
+// X-Webhook-Signature value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Check a signature header the way a receiver should: right HMAC and a
+// timestamp within the tolerance, so captured requests can't be replayed
+const verifyWebhookSignature = (secret, header, body, { toleranceSeconds = 300 } = {}) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = signPayload(secret, body, timestamp).split('v1=')[1];
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(parts.v1, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Queue an event for every active endpoint subscribed to it, once per item
+// of `dataList`. Never throws: a webhook problem must not fail the change
+// that raised the event. Resolves to the number of deliveries queued.
+const emitWebhookEvents = async (event, dataList) => {
+  try {
+    if (dataList.length === 0) return 0;
+
+    const endpoints = await WebhookEndpoint.find({ isActive: true, events: event }).select('_id');
+    if (endpoints.length === 0) return 0;
+
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      for (const data of dataList) {
+        deliveries.push({ endpoint: endpoint._id, event, payload: data });
+      }
+    }
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Webhook enqueue error (${event}):`, error);
+    return 0;
+  }
+};
+
+const emitWebhookEvent = (event, data) => emitWebhookEvents(event, [data]);
+
+// POST one delivery to its endpoint. Resolves to the attempt outcome.
+const sendDelivery = async (delivery, endpoint, { timeoutMs }) => {
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    attempt: delivery.attempts,
+    data: delivery.payload
+  });
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AttendanceManagement-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(endpoint.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text().catch(() => '');
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      responseStatus: response.status,
+      responseBody: text.slice(0, MAX_RESPONSE_BODY),
+      error: null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      responseStatus: null,
+      responseBody: null,
+      error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+// Claim a due delivery (or a specific one) so no other worker sends it.
+// Stale claims from a worker that died are taken over once they expire.
+const claimDelivery = (config, deliveryId = null) => {
+  const now = new Date();
+  const filter = {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'delivering', lockedUntil: { $lte: now } }
+    ]
+  };
+  if (deliveryId) {
+    filter._id = deliveryId;
+  }
+
+  return WebhookDelivery.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + config.timeoutMs * 2) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Count a delivery that ran out of attempts against its endpoint, and turn
+// the endpoint off once too many fail in a row
+const recordEndpointFailure = async (endpoint, now, config) => {
+  const updated = await WebhookEndpoint.findOneAndUpdate(
+    { _id: endpoint._id },
+    {
+      $set: { lastDeliveryAt: now, lastDeliveryStatus: 'failed' },
+      $inc: { consecutiveFailures: 1 }
+    },
+    { new: true }
+  );
+
+  if (updated && updated.isActive && updated.consecutiveFailures >= config.disableAfterFailures) {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id, isActive: true },
+      {
+        $set: {
+          isActive: false,
+          disabledReason: `Disabled after ${updated.consecutiveFailures} failed deliveries in a row`
+        }
+      }
+    );
+    console.warn(`Webhook endpoint ${endpoint._id} disabled after repeated failures`);
+  }
+};
+
+// Send a claimed delivery and record the outcome, scheduling a retry with
+// exponential backoff until the attempts run out
+const attemptDelivery = async (delivery, config) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+  const now = new Date();
+
+  if (!endpoint || !endpoint.isActive) {
+    delivery.set({
+      status: 'failed',
+      lockedUntil: null,
+      lastAttemptAt: now,
+      error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted'
+    });
+    return delivery.save();
+  }
+
+  const outcome = await sendDelivery(delivery, endpoint, config);
+
+  delivery.set({
+    lockedUntil: null,
+    lastAttemptAt: now,
+    responseStatus: outcome.responseStatus,
+    responseBody: outcome.responseBody,
+    error: outcome.error,
+    durationMs: outcome.durationMs
+  });
+
+  if (outcome.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= config.maxAttempts) {
+    delivery.status = 'failed';
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + backoffDelay(delivery.attempts, config));
+  }
+  await delivery.save();
+
+  if (delivery.status === 'succeeded') {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { $set: { lastDeliveryAt: now, lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    );
+  } else if (delivery.status === 'failed') {
+    await recordEndpointFailure(endpoint, now, config);
+  }
+
+  return delivery;
+};
+
+// Send deliveries that are due, up to `limit`. Resolves to the number sent.
+const processDueDeliveries = async ({ limit = 50 } = {}) => {
+  const config = getWebhookConfig();
+  let processed = 0;
+
+  while (processed < limit) {
+    const delivery = await claimDelivery(config);
+    if (!delivery) break;
+    await attemptDelivery(delivery, config);
+    processed++;
+  }
+
+  return processed;
+};
+
+// Send one pending delivery right away, e.g. a ping or manual redelivery.
+// Resolves to the updated delivery, or null if another worker has it.
+const dispatchDelivery = async (deliveryId) => {
+  const config = getWebhookConfig();
+  const delivery = await claimDelivery(config, deliveryId);
+  return delivery ? attemptDelivery(delivery, config) : null;
+};
+
+// Queue a fresh copy of a delivery and send it now
+const redeliver = async (delivery, requestedBy) => {
+  const copy = await WebhookDelivery.create({
+    endpoint: delivery.endpoint,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery.redeliveryOf || delivery._id,
+    requestedBy: requestedBy ? requestedBy._id : null
+  });
+  return (await dispatchDelivery(copy._id)) || copy;
+};
+
+module.exports = {
+  getWebhookConfig,
+  backoffDelay,
+  signPayload,
+  verifyWebhookSignature,
+  emitWebhookEvent,
+  emitWebhookEvents,
+  processDueDeliveries,
+  dispatchDelivery,
+  redeliver
+};
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { backoffDelay, signPayload, verifyWebhookSignature, dispatchDelivery } = require('./webhooks');
+
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_BASE_MS = '1000';
+process.env.WEBHOOK_BACKOFF_MAX_MS = '60000';
+process.env.WEBHOOK_DISABLE_AFTER_FAILURES = '2';
+
+// Local receiver: records each request and answers with `status`
+let status = 200;
+let received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(status).end('ok');
+  });
+});
+
+// In-memory stand-ins for the endpoint and delivery queries
+let endpoint;
+let delivery;
+
+WebhookEndpoint.findById = () => ({ select: async () => endpoint });
+WebhookEndpoint.updateOne = async (filter, { $set }) => {
+  if (filter.isActive !== undefined && endpoint.isActive !== filter.isActive) return;
+  Object.assign(endpoint, $set);
+};
+WebhookEndpoint.findOneAndUpdate = async (filter, { $set, $inc }) => {
+  Object.assign(endpoint, $set);
+  endpoint.consecutiveFailures += $inc.consecutiveFailures;
+  return endpoint;
+};
+WebhookDelivery.findOneAndUpdate = async () => {
+  if (delivery.status !== 'pending') return null;
+  delivery.set({ status: 'delivering', attempts: delivery.attempts + 1 });
+  return delivery;
+};
+WebhookDelivery.prototype.save = async function() {
+  return this;
+};
+
+test.before(() => new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve)));
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+
+test.beforeEach(() => {
+  status = 200;
+  received = [];
+  endpoint = {
+    _id: new mongoose.Types.ObjectId(),
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    secret: 'whsec_test',
+    isActive: true,
+    consecutiveFailures: 0,
+    disabledReason: null
+  };
+  delivery = new WebhookDelivery({
+    endpoint: endpoint._id,
+    event: 'attendance.marked',
+    payload: { attendanceId: 'a1' }
+  });
+});
+
+test('signatures verify against the raw body and reject tampering or replays', () => {
+  const body = JSON.stringify({ event: 'session.started' });
+  const header = signPayload('whsec_test', body);
+
+  assert.ok(verifyWebhookSignature('whsec_test', header, body));
+  assert.ok(!verifyWebhookSignature('whsec_other', header, body));
+  assert.ok(!verifyWebhookSignature('whsec_test', header, `${body} `));
+
+  const stale = signPayload('whsec_test', body, Math.floor(Date.now() / 1000) - 600);
+  assert.ok(!verifyWebhookSignature('whsec_test', stale, body));
+});
+
+test('a delivery reaches the receiver signed, and success is recorded', async () => {
+  const result = await dispatchDelivery(delivery._id);
+
+  assert.strictEqual(result.status, 'succeeded');
+  assert.strictEqual(result.responseStatus, 200);
+  assert.strictEqual(received.length, 1);
+
+  const { headers, body } = received[0];
+  assert.strictEqual(headers['x-webhook-event'], 'attendance.marked');
+  assert.strictEqual(headers['x-webhook-delivery'], delivery._id.toString());
+  assert.ok(verifyWebhookSignature('whsec_test', headers['x-webhook-signature'], body));
+  assert.deepStrictEqual(JSON.parse(body).data, { attendanceId: 'a1' });
+  assert.strictEqual(endpoint.lastDeliveryStatus, 'succeeded');
+});
+
+test('backoff doubles from the base and is capped', () => {
+  const config = { backoffBaseMs: 1000, backoffMaxMs: 5000 };
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => backoffDelay(attempt, config)), [1000, 2000, 4000, 5000]);
+});
+
+test('a failed attempt is retried with backoff until the attempts run out', async () => {
+  status = 500;
+
+  const first = await dispatchDelivery(delivery._id);
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(first.responseStatus, 500);
+  const delay = first.nextAttemptAt.getTime() - Date.now();
+  assert.ok(delay > 0 && delay <= 1000);
+
+  const second = await dispatchDelivery(delivery._id);
+  assert.strictEqual(second.status, 'pending');
+  assert.ok(second.nextAttemptAt.getTime() - Date.now() > 1000);
+
+  const last = await dispatchDelivery(delivery._id);
+  assert.strictEqual(last.status, 'failed');
+  assert.strictEqual(last.attempts, 3);
+  assert.strictEqual(received.length, 3);
+  assert.strictEqual(endpoint.consecutiveFailures, 1);
+  assert.strictEqual(endpoint.isActive, true);
+});
+
+test('an endpoint is disabled after repeated failed deliveries, and a success resets the count', async () => {
+  process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+  const redeliver = () => {
+    delivery.set({ status: 'pending', attempts: 0 });
+    return dispatchDelivery(delivery._id);
+  };
+
+  try {
+    endpoint.consecutiveFailures = 1;
+    await redeliver();
+    assert.strictEqual(endpoint.consecutiveFailures, 0);
+
+    status = 500;
+    await redeliver();
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(endpoint.consecutiveFailures, 1);
+    assert.strictEqual(endpoint.isActive, true);
+
+    await redeliver();
+    assert.strictEqual(endpoint.consecutiveFailures, 2);
+    assert.strictEqual(endpoint.isActive, false);
+    assert.match(endpoint.disabledReason, /2 failed deliveries/);
+
+    // Deliveries to a disabled endpoint fail without being sent
+    const skipped = await redeliver();
+    assert.strictEqual(skipped.status, 'failed');
+    assert.strictEqual(skipped.error, 'Endpoint is disabled');
+    assert.strictEqual(received.length, 3);
+  } finally {
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+  }
+});